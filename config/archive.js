@@ -0,0 +1,56 @@
+/**
+ * Archive Configuration
+ * Limits for ZIP downloads of several files and for ZIP imports
+ */
+
+const { MAX_FILE_SIZE } = require('./fileTypes');
+
+// Most files one archive may contain
+const ARCHIVE_MAX_FILES = parseInt(process.env.ARCHIVE_MAX_FILES) || 500;
+
+// Largest total size of the files in one archive (bytes)
+const ARCHIVE_MAX_BYTES = parseInt(process.env.ARCHIVE_MAX_BYTES) || 2 * 1024 * 1024 * 1024; // 2GB
+
+// Already-compressed types are stored rather than deflated again
+const ARCHIVE_STORE_TYPES = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Largest ZIP accepted by POST /api/files/import (bytes)
+const ZIP_IMPORT_MAX_SIZE = parseInt(process.env.ZIP_IMPORT_MAX_SIZE) || MAX_FILE_SIZE;
+
+// Most entries, and largest total uncompressed size, one import may expand to
+const ZIP_IMPORT_MAX_ENTRIES = parseInt(process.env.ZIP_IMPORT_MAX_ENTRIES) || 100;
+const ZIP_IMPORT_MAX_BYTES = parseInt(process.env.ZIP_IMPORT_MAX_BYTES) || 1024 * 1024 * 1024; // 1GB
+
+// Entries that expand more than this are treated as zip bombs
+const ZIP_IMPORT_MAX_RATIO = 100;
+
+const ZIP_MIME_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/x-zip',
+  'multipart/x-zip'
+];
+
+// Archives inside the import are rejected rather than expanded
+const NESTED_ARCHIVE_EXTENSIONS = ['.zip', '.rar', '.7z', '.tar', '.gz', '.tgz', '.bz2', '.xz', '.jar'];
+
+module.exports = {
+  ARCHIVE_MAX_FILES,
+  ARCHIVE_MAX_BYTES,
+  ARCHIVE_STORE_TYPES,
+  ZIP_IMPORT_MAX_SIZE,
+  ZIP_IMPORT_MAX_ENTRIES,
+  ZIP_IMPORT_MAX_BYTES,
+  ZIP_IMPORT_MAX_RATIO,
+  ZIP_MIME_TYPES,
+  NESTED_ARCHIVE_EXTENSIONS
+};
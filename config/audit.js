@@ -0,0 +1,38 @@
+/**
+ * Audit Log Configuration
+ * Recorded actions and outcomes, and the start of the hash chain
+ */
+
+const AUDIT_ACTIONS = [
+  'file.upload',
+  'file.version',
+  'file.update',
+  'file.read',
+  'file.view',
+  'file.download',
+  'file.archive',
+  'file.thumbnail',
+  'file.verify',
+  'file.review',
+  'file.scan',
+  'file.delete',
+  'file.restore',
+  'file.purge',
+  'file.legal_hold.set',
+  'file.legal_hold.release',
+  'share.create',
+  'share.revoke',
+  'share.access',
+  'access.denied'
+];
+
+const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_OUTCOMES,
+  GENESIS_HASH
+};
@@ -0,0 +1,46 @@
+/**
+ * Authentication Configuration
+ * Signs and verifies session tokens (JWT)
+ */
+
+const jwt = require('jsonwebtoken');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+/**
+ * Get JWT secret from environment
+ */
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    console.error('❌ JWT_SECRET is not defined in environment variables');
+    throw new Error('JWT_SECRET is not defined');
+  }
+
+  return secret;
+};
+
+/**
+ * Sign a session token for a user
+ */
+const signToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString() },
+    getJwtSecret(),
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify a session token and return its payload
+ */
+const verifyToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  JWT_EXPIRES_IN
+};
@@ -100,8 +100,41 @@ const ensureConnection = async () => {
   return mongoose.connection;
 };
 
+/**
+ * Whether the server supports multi-document transactions (replica sets
+ * and sharded clusters do; a standalone mongod does not). Checked once.
+ */
+let transactionSupport = null;
+
+const supportsTransactions = async () => {
+  if (transactionSupport === null) {
+    const connection = await ensureConnection();
+    const hello = await connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+
+    if (!transactionSupport) {
+      console.log('⚠️ MongoDB transactions unavailable (standalone server); using compensating cleanup');
+    }
+  }
+  return transactionSupport;
+};
+
+/**
+ * Run `work(session)` in a transaction where the server supports one.
+ * Otherwise `work(null)` runs directly and the caller's compensating
+ * cleanup is all that keeps its writes consistent.
+ */
+const withTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    return work(null);
+  }
+  return mongoose.connection.transaction(work);
+};
+
 module.exports = { 
   connectDB, 
   getConnectionStatus,
-  ensureConnection
+  ensureConnection,
+  supportsTransactions,
+  withTransaction
 };
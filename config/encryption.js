@@ -0,0 +1,274 @@
+/**
+ * Encryption at Rest - Envelope Encryption
+ *
+ * Each stored file gets a random 256-bit data key. Content is encrypted with
+ * AES-256-GCM in fixed-size segments (each with its own nonce and auth tag),
+ * and the data key is wrapped with the master key from the environment.
+ * Rotating the master key only re-wraps data keys; content is untouched.
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+const ALGORITHM = 'aes-256-gcm';
+const SCHEME = 'aes-256-gcm-segmented-v1';
+const SEGMENT_SIZE = 64 * 1024; // 64KB plaintext per segment
+const TAG_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 8;
+const IV_LENGTH = 12;
+
+/**
+ * Derive a stable identifier for a master key
+ */
+const keyIdFor = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+};
+
+/**
+ * Decode a base64 master key and check its length
+ */
+const decodeMasterKey = (value, name) => {
+  const key = Buffer.from(value.trim(), 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a base64-encoded 32-byte key`);
+  }
+
+  return key;
+};
+
+/**
+ * Load the master keyring from the environment.
+ * ENCRYPTION_MASTER_KEY is the current key; ENCRYPTION_PREVIOUS_KEYS holds
+ * comma-separated retired keys that can still unwrap older data keys.
+ */
+const getKeyring = () => {
+  const current = process.env.ENCRYPTION_MASTER_KEY;
+
+  if (!current) {
+    console.error('❌ ENCRYPTION_MASTER_KEY is not defined in environment variables');
+    throw new Error('ENCRYPTION_MASTER_KEY is not defined');
+  }
+
+  const currentKey = decodeMasterKey(current, 'ENCRYPTION_MASTER_KEY');
+  const keys = new Map([[keyIdFor(currentKey), currentKey]]);
+
+  (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .forEach((value) => {
+      const key = decodeMasterKey(value, 'ENCRYPTION_PREVIOUS_KEYS');
+      keys.set(keyIdFor(key), key);
+    });
+
+  return { currentKeyId: keyIdFor(currentKey), keys };
+};
+
+/**
+ * Wrap a data key with the current master key
+ */
+const wrapDataKey = (dataKey) => {
+  const { currentKeyId, keys } = getKeyring();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+  return {
+    keyId: currentKeyId,
+    wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+  };
+};
+
+/**
+ * Unwrap a data key with the master key it was wrapped under
+ */
+const unwrapDataKey = ({ keyId, wrappedKey }) => {
+  const masterKey = getKeyring().keys.get(keyId);
+
+  if (!masterKey) {
+    throw new Error(`Master key ${keyId} is not available to unwrap this file`);
+  }
+
+  const raw = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, raw.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  return Buffer.concat([
+    decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final()
+  ]);
+};
+
+/**
+ * Create a new data key and its GridFS metadata descriptor
+ */
+const createFileKey = () => {
+  const dataKey = crypto.randomBytes(32);
+  const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+
+  return {
+    dataKey,
+    noncePrefix,
+    descriptor: {
+      scheme: SCHEME,
+      segmentSize: SEGMENT_SIZE,
+      noncePrefix: noncePrefix.toString('base64'),
+      ...wrapDataKey(dataKey)
+    }
+  };
+};
+
+/**
+ * Per-segment nonce: 8-byte random prefix + 4-byte big-endian segment index
+ */
+const segmentNonce = (noncePrefix, index) => {
+  const nonce = Buffer.alloc(IV_LENGTH);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  return nonce;
+};
+
+// The final segment is authenticated as such, so truncation is detected
+const segmentAad = (isFinal) => Buffer.from([isFinal ? 1 : 0]);
+
+/**
+ * Number of ciphertext segments for a stored (encrypted) length
+ */
+const segmentCount = (encryptedLength, segmentSize = SEGMENT_SIZE) => {
+  return Math.max(1, Math.ceil(encryptedLength / (segmentSize + TAG_LENGTH)));
+};
+
+/**
+ * Plaintext length for a stored (encrypted) length
+ */
+const plaintextLength = (encryptedLength, segmentSize = SEGMENT_SIZE) => {
+  return encryptedLength - segmentCount(encryptedLength, segmentSize) * TAG_LENGTH;
+};
+
+/**
+ * Transform stream that encrypts plaintext into authenticated segments
+ */
+const createEncryptStream = (dataKey, noncePrefix) => {
+  let pending = [];
+  let pendingLength = 0;
+  let index = 0;
+
+  const sealSegment = (plain, isFinal) => {
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, segmentNonce(noncePrefix, index++));
+    cipher.setAAD(segmentAad(isFinal));
+    return Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+
+      // Hold back at least one full segment so the last one can be marked final
+      if (pendingLength > SEGMENT_SIZE) {
+        let buffer = Buffer.concat(pending, pendingLength);
+        while (buffer.length > SEGMENT_SIZE) {
+          this.push(sealSegment(buffer.subarray(0, SEGMENT_SIZE), false));
+          buffer = buffer.subarray(SEGMENT_SIZE);
+        }
+        pending = [buffer];
+        pendingLength = buffer.length;
+      }
+
+      callback();
+    },
+
+    flush(callback) {
+      this.push(sealSegment(Buffer.concat(pending, pendingLength), true));
+      callback();
+    }
+  });
+};
+
+/**
+ * Transform stream that decrypts authenticated segments.
+ * `firstSegment` and `totalSegments` allow decrypting from the middle of a
+ * file (ciphertext must then start on a segment boundary).
+ */
+const createDecryptStream = (dataKey, noncePrefix, { firstSegment = 0, totalSegments, segmentSize = SEGMENT_SIZE } = {}) => {
+  const recordSize = segmentSize + TAG_LENGTH;
+  let buffer = Buffer.alloc(0);
+  let index = firstSegment;
+
+  const openSegment = (record) => {
+    const isFinal = totalSegments !== undefined && index === totalSegments - 1;
+    const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, segmentNonce(noncePrefix, index++));
+    decipher.setAAD(segmentAad(isFinal));
+    decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+    return Buffer.concat([
+      decipher.update(record.subarray(0, record.length - TAG_LENGTH)),
+      decipher.final()
+    ]);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+      try {
+        // Keep the trailing record buffered: it may be the (short) final one
+        while (buffer.length > recordSize) {
+          this.push(openSegment(buffer.subarray(0, recordSize)));
+          buffer = buffer.subarray(recordSize);
+        }
+        callback();
+      } catch (error) {
+        callback(new Error('Encrypted content failed integrity check'));
+      }
+    },
+
+    flush(callback) {
+      try {
+        if (buffer.length > 0) {
+          this.push(openSegment(buffer));
+        }
+        callback();
+      } catch (error) {
+        callback(new Error('Encrypted content failed integrity check'));
+      }
+    }
+  });
+};
+
+/**
+ * Encrypt a standalone buffer with a data key (iv | tag | ciphertext)
+ */
+const sealBuffer = (dataKey, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+};
+
+/**
+ * Decrypt a buffer produced by sealBuffer
+ */
+const openBuffer = (dataKey, sealed) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, sealed.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final()
+  ]);
+};
+
+module.exports = {
+  SCHEME,
+  SEGMENT_SIZE,
+  TAG_LENGTH,
+  getKeyring,
+  createFileKey,
+  wrapDataKey,
+  unwrapDataKey,
+  segmentCount,
+  plaintextLength,
+  createEncryptStream,
+  createDecryptStream,
+  sealBuffer,
+  openBuffer
+};
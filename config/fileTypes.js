@@ -0,0 +1,166 @@
+/**
+ * Accepted File Types
+ * Shared by every upload path
+ */
+
+const ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain',
+  'text/csv'
+];
+
+// Document categories a file can be filed under
+const FILE_CATEGORIES = [
+  'id_front',
+  'id_back',
+  'passport',
+  'drivers_license',
+  'utility_bill',
+  'bank_statement',
+  'other'
+];
+
+// Free-form tags per file
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Typed custom key/value fields per file (customer ID, country, ...)
+const CUSTOM_FIELD_TYPES = ['string', 'number', 'boolean', 'date'];
+const MAX_CUSTOM_FIELDS = 20;
+const MAX_CUSTOM_FIELD_VALUE_LENGTH = 500;
+const CUSTOM_FIELD_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+
+// MIME type assumed for files without a declared type (e.g. ZIP entries)
+const EXTENSION_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv'
+};
+
+// Longest file name a record can have
+const MAX_FILE_NAME_LENGTH = 500;
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024; // 100MB
+
+// Largest PATCH body accepted by resumable uploads (Vercel caps bodies at 4.5MB)
+const UPLOAD_CHUNK_MAX_SIZE = parseInt(process.env.UPLOAD_CHUNK_MAX_SIZE) || 4 * 1024 * 1024; // 4MB
+
+// Photo types whose EXIF/XMP/IPTC metadata is removed on upload
+const METADATA_STRIP_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+// Largest photo that is stripped; stripping decodes the whole image in
+// memory, so larger photos are refused rather than stored with metadata
+const STRIP_METADATA_MAX_SIZE = parseInt(process.env.STRIP_METADATA_MAX_SIZE) || 25 * 1024 * 1024; // 25MB
+
+/**
+ * Check a declared MIME type against the allow list
+ */
+const isAllowedMimeType = (mimeType) => ALLOWED_MIME_TYPES.includes(mimeType);
+
+/**
+ * MIME type for a file name's extension, or null if it is not accepted
+ */
+const mimeTypeForFileName = (fileName) => {
+  const match = /\.[^./]+$/.exec(String(fileName).toLowerCase());
+  return (match && EXTENSION_MIME_TYPES[match[0]]) || null;
+};
+
+/**
+ * Error for a rejected MIME type (matched by the global error handler)
+ */
+const invalidTypeError = (mimeType) => {
+  const error = new Error(`Invalid file type: ${mimeType}. Allowed: images, PDF, Word, Excel, text files.`);
+  error.code = 'INVALID_FILE_TYPE';
+  return error;
+};
+
+/**
+ * Why a file name cannot be stored, or null if it can. Every upload path
+ * and renames use this, so no stored name can hold a path or markup.
+ */
+const invalidFileNameReason = (fileName) => {
+  if (typeof fileName !== 'string') return 'File name must be a string';
+
+  const name = fileName.trim();
+  if (!name) return 'File name cannot be empty';
+  if (name.length > MAX_FILE_NAME_LENGTH) return `File name cannot exceed ${MAX_FILE_NAME_LENGTH} characters`;
+  if (/[\/\\\u0000-\u001f]/.test(name)) return 'File name cannot contain slashes or control characters';
+  if (/[<>]/.test(name)) return 'File name cannot contain < or >';
+
+  return null;
+};
+
+/**
+ * Error for a rejected file name (matched by the global error handler)
+ */
+const invalidFileNameError = (fileName) => {
+  const error = new Error(`Invalid file name: ${invalidFileNameReason(fileName)}`);
+  error.code = 'INVALID_FILE_NAME';
+  return error;
+};
+
+/**
+ * Error for a photo too large to strip (matched by the global error handler)
+ */
+const imageTooLargeError = () => {
+  const error = new Error(`Image too large. Photos can be at most ${Math.round(STRIP_METADATA_MAX_SIZE / 1024 / 1024)}MB`);
+  error.code = 'IMAGE_TOO_LARGE';
+  return error;
+};
+
+/**
+ * Whether photo metadata should be stripped for an upload.
+ * STRIP_METADATA_CATEGORIES is a comma-separated list of categories,
+ * `all` (default) or `none`.
+ */
+const shouldStripMetadata = (mimeType, category) => {
+  if (!METADATA_STRIP_TYPES.includes(mimeType)) return false;
+
+  const setting = (process.env.STRIP_METADATA_CATEGORIES || 'all').trim();
+  if (setting === 'all') return true;
+  if (setting === 'none') return false;
+
+  return setting.split(',').map(c => c.trim()).includes(category || 'other');
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  FILE_CATEGORIES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELDS,
+  MAX_CUSTOM_FIELD_VALUE_LENGTH,
+  CUSTOM_FIELD_KEY_PATTERN,
+  EXTENSION_MIME_TYPES,
+  MAX_FILE_NAME_LENGTH,
+  MAX_FILE_SIZE,
+  UPLOAD_CHUNK_MAX_SIZE,
+  METADATA_STRIP_TYPES,
+  STRIP_METADATA_MAX_SIZE,
+  isAllowedMimeType,
+  mimeTypeForFileName,
+  invalidTypeError,
+  invalidFileNameReason,
+  invalidFileNameError,
+  imageTooLargeError,
+  shouldStripMetadata
+};
@@ -1,12 +1,29 @@
 /**
  * GridFS Configuration - Vercel Compatible
- * For storing large files in MongoDB
+ * For storing large files in MongoDB (encrypted at rest)
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { PassThrough, Readable, Transform, pipeline } = require('stream');
 const { GridFSBucket } = require('mongodb');
+const {
+  TAG_LENGTH,
+  createFileKey,
+  unwrapDataKey,
+  segmentCount,
+  plaintextLength,
+  createEncryptStream,
+  createDecryptStream
+} = require('./encryption');
+
+// Unreferenced GridFS objects younger than this may belong to an upload
+// whose File record is not saved yet; reconciliation leaves them alone
+const ORPHAN_GRACE_MINUTES = parseFloat(process.env.STORAGE_ORPHAN_GRACE_MINUTES) || 60;
 
 let gridFSBucket = null;
+let filesCollection = null;
+let chunksCollection = null;
 let gridFSStatus = {
   initialized: false,
   bucketName: 'uploads',
@@ -28,6 +45,12 @@ const initGridFS = (connection) => {
       chunkSizeBytes: 255 * 1024 // 255KB chunks
     });
 
+    // Files collection: holds content hashes and reference counts in `metadata`
+    filesCollection = connection.db.collection('uploads.files');
+    chunksCollection = connection.db.collection('uploads.chunks');
+    filesCollection.createIndex({ 'metadata.sha256': 1 }, { sparse: true })
+      .catch(error => console.error('❌ GridFS hash index error:', error.message));
+
     gridFSStatus.initialized = true;
     console.log('✅ GridFS initialized with bucket: uploads');
     return gridFSBucket;
@@ -58,9 +81,57 @@ const getGridFSStatus = () => {
 };
 
 /**
- * Upload file to GridFS
+ * Get the GridFS files collection
  */
-const uploadToGridFS = (fileBuffer, filename, options = {}) => {
+const getFilesCollection = () => {
+  if (!getGridFSBucket() || !filesCollection) {
+    throw new Error('GridFS bucket not initialized');
+  }
+  return filesCollection;
+};
+
+/**
+ * Get the GridFS chunks collection
+ */
+const getChunksCollection = () => {
+  if (!getGridFSBucket() || !chunksCollection) {
+    throw new Error('GridFS bucket not initialized');
+  }
+  return chunksCollection;
+};
+
+/**
+ * Reuse an existing GridFS object with the same content hash.
+ * Returns its id with the reference count incremented, or null.
+ * Thumbnails are never reused: they belong to the file they preview.
+ */
+const retainByHash = async (sha256, excludeId) => {
+  const existing = await getFilesCollection().findOneAndUpdate(
+    {
+      _id: { $ne: excludeId },
+      'metadata.sha256': sha256,
+      'metadata.refCount': { $gte: 1 },
+      'metadata.kind': { $ne: 'thumbnail' }
+    },
+    { $inc: { 'metadata.refCount': 1 } },
+    { returnDocument: 'after' }
+  );
+
+  return existing ? existing._id : null;
+};
+
+/**
+ * Stream a readable source into GridFS
+ * Content is encrypted with a fresh data key before it is written, so memory
+ * use stays bounded regardless of file size. `options.transforms` are applied
+ * to the plaintext first (e.g. content inspection); if any fails, the partial
+ * upload is removed.
+ *
+ * The plaintext SHA-256 is recorded in the GridFS metadata along with a
+ * reference count. With `options.deduplicate`, content already stored is not
+ * kept twice: the new copy is dropped and the existing object is reused.
+ */
+const uploadStreamToGridFS = (source, filename, options = {}) => {
   return new Promise((resolve, reject) => {
     const bucket = getGridFSBucket();
     
@@ -68,42 +139,116 @@ const uploadToGridFS = (fileBuffer, filename, options = {}) => {
       return reject(new Error('GridFS bucket not initialized'));
     }
 
+    let fileKey;
+    try {
+      fileKey = createFileKey();
+    } catch (error) {
+      return reject(error);
+    }
+
     const uploadStream = bucket.openUploadStream(filename, {
       contentType: options.contentType || 'application/octet-stream',
-      metadata: options.metadata || {}
+      metadata: {
+        ...(options.metadata || {}),
+        encryption: fileKey.descriptor
+      }
     });
 
-    uploadStream.on('error', (error) => {
-      console.error('❌ GridFS upload error:', error.message);
-      reject(error);
+    let length = 0;
+    const hash = crypto.createHash('sha256');
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        length += chunk.length;
+        hash.update(chunk);
+        callback(null, chunk);
+      }
     });
 
-    uploadStream.on('finish', () => {
-      console.log(`✅ GridFS upload complete: ${filename}`);
-      resolve({
-        fileId: uploadStream.id,
-        filename: filename,
-        length: fileBuffer.length
-      });
-    });
+    pipeline(
+      source,
+      ...(options.transforms || []),
+      measure,
+      createEncryptStream(fileKey.dataKey, fileKey.noncePrefix),
+      uploadStream,
+      (error) => {
+        if (error) {
+          console.error('❌ GridFS upload error:', error.message);
+          // Remove any chunks already written for this file
+          uploadStream.abort().catch(() => {});
+          return reject(error);
+        }
 
-    uploadStream.end(fileBuffer);
+        const sha256 = hash.digest('hex');
+
+        finishUpload(uploadStream.id, sha256, options.deduplicate)
+          .then(({ fileId, deduplicated }) => {
+            console.log(`✅ GridFS upload complete: ${filename}${deduplicated ? ' (deduplicated)' : ''}`);
+            resolve({
+              fileId,
+              filename: filename,
+              length: length,
+              sha256,
+              deduplicated
+            });
+          })
+          .catch(reject);
+      }
+    );
   });
 };
 
+/**
+ * Record the hash of a completed upload, or swap it for an identical object
+ */
+const finishUpload = async (fileId, sha256, deduplicate) => {
+  const existingId = deduplicate ? await retainByHash(sha256, fileId) : null;
+
+  if (existingId) {
+    await getGridFSBucket().delete(fileId);
+    return { fileId: existingId, deduplicated: true };
+  }
+
+  await getFilesCollection().updateOne(
+    { _id: fileId },
+    { $set: { 'metadata.sha256': sha256, 'metadata.refCount': 1 } }
+  );
+  return { fileId, deduplicated: false };
+};
+
+/**
+ * Upload an in-memory buffer to GridFS
+ */
+const uploadToGridFS = (fileBuffer, filename, options = {}) => {
+  return uploadStreamToGridFS(Readable.from([fileBuffer]), filename, options);
+};
+
+/**
+ * Get the GridFS file document (length, metadata, encryption descriptor)
+ */
+const getGridFSFile = async (fileId) => {
+  const bucket = getGridFSBucket();
+
+  if (!bucket) {
+    throw new Error('GridFS bucket not initialized');
+  }
+
+  const [gridFile] = await bucket.find({ _id: new mongoose.Types.ObjectId(fileId) }).toArray();
+  return gridFile || null;
+};
+
 /**
  * Download file from GridFS
  */
 const downloadFromGridFS = (fileId) => {
   return new Promise((resolve, reject) => {
-    const bucket = getGridFSBucket();
-    
-    if (!bucket) {
-      return reject(new Error('GridFS bucket not initialized'));
+    let downloadStream;
+    try {
+      downloadStream = getDownloadStream(fileId);
+    } catch (error) {
+      return reject(error);
     }
 
     const chunks = [];
-    const downloadStream = bucket.openDownloadStream(new mongoose.Types.ObjectId(fileId));
 
     downloadStream.on('error', (error) => {
       reject(error);
@@ -119,17 +264,96 @@ const downloadFromGridFS = (fileId) => {
   });
 };
 
+/**
+ * Transform that skips `skip` bytes then passes through at most `take` bytes
+ */
+const createSliceStream = (skip, take) => {
+  let skipped = 0;
+  let passed = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (skipped < skip) {
+        const drop = Math.min(skip - skipped, chunk.length);
+        skipped += drop;
+        chunk = chunk.subarray(drop);
+      }
+
+      const remaining = take - passed;
+      if (chunk.length > remaining) chunk = chunk.subarray(0, remaining);
+      passed += chunk.length;
+
+      callback(null, chunk.length ? chunk : undefined);
+    }
+  });
+};
+
 /**
  * Get download stream from GridFS
+ * Returns plaintext; encrypted files are decrypted transparently.
+ * Optional `start` (inclusive) / `end` (exclusive) select a plaintext byte range.
  */
-const getDownloadStream = (fileId) => {
+const getDownloadStream = (fileId, options = {}) => {
   const bucket = getGridFSBucket();
   
   if (!bucket) {
     throw new Error('GridFS bucket not initialized');
   }
 
-  return bucket.openDownloadStream(new mongoose.Types.ObjectId(fileId));
+  const output = new PassThrough();
+  const fail = error => output.destroy(error);
+  const hasRange = options.start !== undefined || options.end !== undefined;
+
+  // pipeline() tears down every stage when one fails or the consumer
+  // destroys `output` (e.g. the client disconnected), so no GridFS cursor
+  // is left open. Errors reach the consumer through `output`.
+  getGridFSFile(fileId)
+    .then((gridFile) => {
+      if (!gridFile) {
+        throw new Error(`File not found in GridFS: ${fileId}`);
+      }
+
+      const encryption = gridFile.metadata && gridFile.metadata.encryption;
+
+      // Files stored before encryption was enabled are served as-is
+      if (!encryption) {
+        const source = bucket.openDownloadStream(gridFile._id, hasRange ? options : {});
+        return pipeline(source, output, () => {});
+      }
+
+      const segmentSize = encryption.segmentSize;
+      const recordSize = segmentSize + TAG_LENGTH;
+      const totalSegments = segmentCount(gridFile.length, segmentSize);
+      const size = plaintextLength(gridFile.length, segmentSize);
+      const start = options.start || 0;
+      const end = Math.min(options.end !== undefined ? options.end : size, size);
+
+      if (hasRange && end <= start) {
+        return output.end();
+      }
+
+      // Read only the encrypted segments that cover the requested range
+      const firstSegment = hasRange ? Math.floor(start / segmentSize) : 0;
+      const lastSegment = hasRange ? Math.floor((end - 1) / segmentSize) : totalSegments - 1;
+      const source = bucket.openDownloadStream(gridFile._id, hasRange
+        ? { start: firstSegment * recordSize, end: Math.min(gridFile.length, (lastSegment + 1) * recordSize) }
+        : {});
+
+      const decryptStream = createDecryptStream(
+        unwrapDataKey(encryption),
+        Buffer.from(encryption.noncePrefix, 'base64'),
+        { firstSegment, totalSegments, segmentSize }
+      );
+
+      const stages = hasRange
+        ? [decryptStream, createSliceStream(start - firstSegment * segmentSize, end - start)]
+        : [decryptStream];
+
+      pipeline(source, ...stages, output, () => {});
+    })
+    .catch(fail);
+
+  return output;
 };
 
 /**
@@ -146,6 +370,148 @@ const deleteFromGridFS = async (fileId) => {
   console.log(`✅ GridFS file deleted: ${fileId}`);
 };
 
+/**
+ * Drop one reference to a GridFS object; the data is deleted with the last one.
+ * Objects stored before reference counting count as a single reference.
+ */
+const releaseGridFSFile = async (fileId) => {
+  const id = new mongoose.Types.ObjectId(fileId);
+  const gridFile = await getFilesCollection().findOneAndUpdate(
+    { _id: id },
+    { $inc: { 'metadata.refCount': -1 } },
+    { returnDocument: 'after' }
+  );
+
+  if (!gridFile) return;
+
+  if (gridFile.metadata.refCount > 0) {
+    console.log(`🔗 GridFS file still referenced: ${fileId} (${gridFile.metadata.refCount})`);
+    return;
+  }
+
+  await deleteFromGridFS(id);
+};
+
+/**
+ * Update a GridFS object's filename and descriptive metadata fields.
+ * Storage fields (hash, reference count, encryption) are never touched,
+ * and deduplicated objects shared by several files (refCount > 1) are left
+ * as stored. Resolves with whether the object was updated.
+ */
+const updateGridFSMetadata = async (fileId, { filename, metadata = {} }) => {
+  const update = {};
+
+  if (filename !== undefined) update.filename = filename;
+  Object.entries(metadata).forEach(([key, value]) => {
+    if (['sha256', 'refCount', 'encryption'].includes(key)) return;
+    update[`metadata.${key}`] = value;
+  });
+
+  if (Object.keys(update).length === 0) return false;
+
+  const result = await getFilesCollection().updateOne(
+    { _id: new mongoose.Types.ObjectId(fileId), 'metadata.refCount': { $not: { $gt: 1 } } },
+    { $set: update }
+  );
+  return result.matchedCount > 0;
+};
+
+/**
+ * Re-read stored content and compute its SHA-256.
+ * Encrypted segments are authenticated while decrypting, so tampered
+ * chunks fail with an error rather than producing a hash.
+ */
+const hashGridFSFile = (fileId) => {
+  return new Promise((resolve, reject) => {
+    let stream;
+    try {
+      stream = getDownloadStream(fileId);
+    } catch (error) {
+      return reject(error);
+    }
+
+    const hash = crypto.createHash('sha256');
+    let length = 0;
+
+    stream.on('error', reject);
+    stream.on('data', (chunk) => {
+      length += chunk.length;
+      hash.update(chunk);
+    });
+    stream.on('end', () => {
+      resolve({ sha256: hash.digest('hex'), length });
+    });
+  });
+};
+
+/**
+ * Cursor over every GridFS object's id, size, dates and reference count
+ */
+const scanGridFSFiles = () => {
+  return getFilesCollection().find({}, {
+    projection: { filename: 1, length: 1, uploadDate: 1, 'metadata.refCount': 1, 'metadata.kind': 1 }
+  });
+};
+
+/**
+ * Ids of stored chunks whose GridFS object was never completed (the
+ * upload was interrupted before its files document was written)
+ */
+const findOrphanedChunkIds = async () => {
+  const groups = await getChunksCollection().aggregate([
+    { $group: { _id: '$files_id' } },
+    { $lookup: { from: 'uploads.files', localField: '_id', foreignField: '_id', as: 'file' } },
+    { $match: { file: { $size: 0 } } },
+    { $project: { _id: 1 } }
+  ]).toArray();
+
+  return groups.map(group => group._id);
+};
+
+/**
+ * Delete the chunks of an incomplete GridFS object
+ */
+const deleteGridFSChunks = async (fileId) => {
+  const result = await getChunksCollection().deleteMany({ files_id: new mongoose.Types.ObjectId(fileId) });
+  return result.deletedCount;
+};
+
+/**
+ * Set a GridFS object's reference count if it is still `expected`
+ * (undefined for objects stored before reference counting).
+ * Returns whether the count was changed.
+ */
+const setGridFSRefCount = async (fileId, expected, refCount) => {
+  const result = await getFilesCollection().updateOne(
+    {
+      _id: new mongoose.Types.ObjectId(fileId),
+      'metadata.refCount': expected === undefined ? { $exists: false } : expected
+    },
+    { $set: { 'metadata.refCount': refCount } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Delete a GridFS object nothing references, provided its reference
+ * count is still `expected`: an upload deduplicated onto it since it
+ * was checked raises the count and keeps it. Returns whether it was deleted.
+ */
+const deleteUnreferencedGridFSFile = async (fileId, expected) => {
+  const id = new mongoose.Types.ObjectId(fileId);
+  const result = await getFilesCollection().deleteOne({
+    _id: id,
+    'metadata.refCount': expected === undefined ? { $exists: false } : expected
+  });
+
+  if (result.deletedCount === 0) return false;
+
+  await getChunksCollection().deleteMany({ files_id: id });
+  console.log(`✅ GridFS file deleted: ${fileId}`);
+  return true;
+};
+
 /**
  * Check if file exists in GridFS
  */
@@ -162,12 +528,23 @@ const fileExistsInGridFS = async (fileId) => {
 };
 
 module.exports = {
+  ORPHAN_GRACE_MINUTES,
   initGridFS,
   getGridFSBucket,
   getGridFSStatus,
+  uploadStreamToGridFS,
   uploadToGridFS,
+  getGridFSFile,
   downloadFromGridFS,
   getDownloadStream,
   deleteFromGridFS,
-  fileExistsInGridFS
+  releaseGridFSFile,
+  updateGridFSMetadata,
+  hashGridFSFile,
+  fileExistsInGridFS,
+  scanGridFSFiles,
+  findOrphanedChunkIds,
+  deleteGridFSChunks,
+  setGridFSRefCount,
+  deleteUnreferencedGridFSFile
 };
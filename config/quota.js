@@ -0,0 +1,34 @@
+/**
+ * Storage Quota Configuration
+ * Default limits on what each user may store; admins can give individual
+ * users their own limits (see PATCH /api/users/:id/quota)
+ */
+
+// Total bytes a user may store, counting every version and the trash (0 = unlimited)
+const QUOTA_MAX_BYTES = parseInt(process.env.QUOTA_MAX_BYTES, 10) || 0;
+
+// Number of files a user may store, trash included (0 = unlimited)
+const QUOTA_MAX_FILES = parseInt(process.env.QUOTA_MAX_FILES, 10) || 0;
+
+/**
+ * Limits that apply to a user: their own where set, else the defaults.
+ * null means unlimited.
+ */
+const resolveQuotaLimits = (user) => {
+  const own = (user && user.quota) || {};
+  const pick = (value, fallback) => {
+    const limit = value !== undefined && value !== null ? value : fallback;
+    return limit > 0 ? limit : null;
+  };
+
+  return {
+    maxBytes: pick(own.maxBytes, QUOTA_MAX_BYTES),
+    maxFiles: pick(own.maxFiles, QUOTA_MAX_FILES)
+  };
+};
+
+module.exports = {
+  QUOTA_MAX_BYTES,
+  QUOTA_MAX_FILES,
+  resolveQuotaLimits
+};
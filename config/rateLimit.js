@@ -0,0 +1,94 @@
+/**
+ * Rate Limit Configuration
+ * Request budgets per client IP and per user for the routes that move or
+ * remove data, and who is exempt
+ */
+
+const net = require('net');
+
+// Length of each counting window
+const RATE_LIMIT_WINDOW_MINUTES = parseFloat(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15;
+
+/**
+ * Requests allowed per window in each route group (0 disables a group)
+ */
+const readLimit = (name, fallback) => {
+  return process.env[name] !== undefined && process.env[name] !== ''
+    ? parseInt(process.env[name], 10) || 0
+    : fallback;
+};
+
+const RATE_LIMITS = {
+  uploads: readLimit('RATE_LIMIT_UPLOADS', 60),
+  downloads: readLimit('RATE_LIMIT_DOWNLOADS', 600),
+  deletes: readLimit('RATE_LIMIT_DELETES', 120)
+};
+
+// 'mongo' shares counters across serverless instances; 'memory' is per process
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE
+  || (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory');
+
+/**
+ * Parse RATE_LIMIT_ALLOWLIST: IP addresses, CIDR ranges, user IDs and
+ * e-mail addresses, comma separated
+ */
+const parseAllowlist = (value = '') => {
+  const addresses = new net.BlockList();
+  const users = new Set();
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+
+    if (!family) {
+      users.add(entry.toLowerCase());
+      return;
+    }
+
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    try {
+      if (prefix !== undefined) {
+        addresses.addSubnet(address, parseInt(prefix, 10), type);
+      } else {
+        addresses.addAddress(address, type);
+      }
+    } catch (error) {
+      console.error(`❌ Ignoring invalid RATE_LIMIT_ALLOWLIST entry: ${entry}`);
+    }
+  });
+
+  return { addresses, users };
+};
+
+const RATE_LIMIT_ALLOWLIST = parseAllowlist(process.env.RATE_LIMIT_ALLOWLIST);
+
+/**
+ * Client IP without the IPv4-mapped IPv6 prefix
+ */
+const clientIp = (req) => String(req.ip || '').replace(/^::ffff:(?=\d+\.)/, '');
+
+/**
+ * Whether the request comes from an allowlisted address or user
+ */
+const isAllowlisted = (req, allowlist = RATE_LIMIT_ALLOWLIST) => {
+  const ip = clientIp(req);
+  const family = net.isIP(ip);
+
+  if (family && allowlist.addresses.check(ip, family === 6 ? 'ipv6' : 'ipv4')) {
+    return true;
+  }
+
+  return Boolean(req.user) && (
+    allowlist.users.has(String(req.user._id))
+    || allowlist.users.has(String(req.user.email || '').toLowerCase())
+  );
+};
+
+module.exports = {
+  RATE_LIMIT_WINDOW_MINUTES,
+  RATE_LIMITS,
+  RATE_LIMIT_STORE,
+  parseAllowlist,
+  clientIp,
+  isAllowlisted
+};
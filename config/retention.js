@@ -0,0 +1,72 @@
+/**
+ * Retention Policy Configuration
+ * How long each document category is kept before it is purged
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted file stays in the trash before it is removed for good
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often the server empties old trash (0 disables; use the script instead)
+const TRASH_PURGE_INTERVAL_MINUTES = process.env.TRASH_PURGE_INTERVAL_MINUTES !== undefined
+  ? parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 0
+  : 60;
+
+// Default retention in days per category (null = keep indefinitely)
+const DEFAULT_RETENTION_DAYS = {
+  id_front: 5 * 365,
+  id_back: 5 * 365,
+  passport: 5 * 365,
+  drivers_license: 5 * 365,
+  utility_bill: 90,
+  bank_statement: 90,
+  other: null
+};
+
+/**
+ * Resolve the retention rules.
+ * RETENTION_DAYS overrides defaults per category, e.g.
+ * "bank_statement:90,passport:1825,other:forever".
+ */
+const getRetentionPolicy = () => {
+  const policy = { ...DEFAULT_RETENTION_DAYS };
+
+  (process.env.RETENTION_DAYS || '')
+    .split(',')
+    .map(rule => rule.trim())
+    .filter(Boolean)
+    .forEach((rule) => {
+      const [category, value] = rule.split(':').map(part => part.trim());
+      const days = Number(value);
+
+      if (value === 'forever' || days === 0) {
+        policy[category] = null;
+      } else if (Number.isFinite(days) && days > 0) {
+        policy[category] = days;
+      } else {
+        throw new Error(`Invalid RETENTION_DAYS rule "${rule}"`);
+      }
+    });
+
+  return policy;
+};
+
+/**
+ * Compute when a document of `category` stored at `from` expires.
+ * Returns null when the category is kept indefinitely.
+ */
+const computeExpiresAt = (category, from = new Date()) => {
+  const days = getRetentionPolicy()[category || 'other'];
+  if (days === null || days === undefined) return null;
+  return new Date(new Date(from).getTime() + days * DAY_MS);
+};
+
+module.exports = {
+  DAY_MS,
+  TRASH_RETENTION_DAYS,
+  TRASH_PURGE_INTERVAL_MINUTES,
+  DEFAULT_RETENTION_DAYS,
+  getRetentionPolicy,
+  computeExpiresAt
+};
@@ -0,0 +1,64 @@
+/**
+ * Role & Permission Configuration
+ * Permissions are "<resource>:<action>" with an optional ":own" / ":any" scope
+ */
+
+const ROLES = ['customer', 'reviewer', 'admin'];
+
+const DEFAULT_ROLE = 'customer';
+
+const ROLE_PERMISSIONS = {
+  customer: [
+    'files:create',
+    'files:read:own',
+    'files:update:own',
+    'files:delete:own'
+  ],
+  reviewer: [
+    'files:create',
+    'files:read:any',
+    'files:update:own',
+    'files:review:any',
+    'files:share:any',
+    'files:delete:own'
+  ],
+  admin: [
+    'files:create',
+    'files:read:any',
+    'files:update:any',
+    'files:review:any',
+    'files:share:any',
+    'files:delete:any',
+    'files:scan:any',
+    'files:hold:any',
+    'retention:manage',
+    'audit:read',
+    'users:manage'
+  ]
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes(permission);
+};
+
+/**
+ * Resolve the scope ('any', 'own' or null) a role has for an action
+ */
+const getPermissionScope = (role, action) => {
+  if (hasPermission(role, `${action}:any`)) return 'any';
+  if (hasPermission(role, `${action}:own`)) return 'own';
+  if (hasPermission(role, action)) return 'any';
+  return null;
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getPermissionScope
+};
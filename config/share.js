@@ -0,0 +1,75 @@
+/**
+ * Share Link Configuration
+ * Signs and verifies the tokens in public share URLs (HMAC-SHA256)
+ */
+
+const crypto = require('crypto');
+
+const SHARE_LINK_DEFAULT_HOURS = 24;
+const SHARE_LINK_MAX_HOURS = parseFloat(process.env.SHARE_LINK_MAX_HOURS) || 30 * 24; // 30 days
+
+// Failed password attempts before a link is locked
+const SHARE_LINK_MAX_PASSWORD_ATTEMPTS = 10;
+
+/**
+ * Get the share link signing secret.
+ * Falls back to a key derived from JWT_SECRET so session tokens and share
+ * links never share a key.
+ */
+const getShareSecret = () => {
+  if (process.env.SHARE_LINK_SECRET) {
+    return process.env.SHARE_LINK_SECRET;
+  }
+
+  if (!process.env.JWT_SECRET) {
+    console.error('❌ SHARE_LINK_SECRET is not defined in environment variables');
+    throw new Error('SHARE_LINK_SECRET is not defined');
+  }
+
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('share-links').digest();
+};
+
+const signature = (id, expires) => {
+  return crypto.createHmac('sha256', getShareSecret())
+    .update(`${id}.${expires}`)
+    .digest('base64url');
+};
+
+/**
+ * Create the token for a share link: "<id>.<expiry unix seconds>.<signature>"
+ */
+const signShareToken = (id, expiresAt) => {
+  const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+  return `${id}.${expires}.${signature(id, expires)}`;
+};
+
+/**
+ * Verify a share token's signature and expiry.
+ * Returns { id, expiresAt } or null.
+ */
+const verifyShareToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const [id, expires, sig] = parts;
+  if (!/^[a-f0-9]{24}$/.test(id) || !/^\d+$/.test(expires)) return null;
+
+  const expected = Buffer.from(signature(id, expires));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  const expiresAt = new Date(Number(expires) * 1000);
+  if (expiresAt <= new Date()) return null;
+
+  return { id, expiresAt };
+};
+
+module.exports = {
+  SHARE_LINK_DEFAULT_HOURS,
+  SHARE_LINK_MAX_HOURS,
+  SHARE_LINK_MAX_PASSWORD_ATTEMPTS,
+  signShareToken,
+  verifyShareToken
+};
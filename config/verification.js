@@ -0,0 +1,31 @@
+/**
+ * Document Verification Workflow
+ * State machine for KYC review outcomes
+ */
+
+const STATUSES = ['pending', 'under_review', 'approved', 'rejected', 'expired'];
+
+const DEFAULT_STATUS = 'pending';
+
+// Allowed transitions: current status → next statuses
+const TRANSITIONS = {
+  pending: ['under_review', 'approved', 'rejected', 'expired'],
+  under_review: ['pending', 'approved', 'rejected', 'expired'],
+  approved: ['under_review', 'expired'],
+  rejected: ['under_review', 'expired'],
+  expired: []
+};
+
+/**
+ * Check whether a status change is allowed
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+module.exports = {
+  STATUSES,
+  DEFAULT_STATUS,
+  TRANSITIONS,
+  canTransition
+};
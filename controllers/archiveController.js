@@ -0,0 +1,155 @@
+/**
+ * Archive Controller
+ * Downloads several files as one ZIP (e.g. a customer's whole dossier)
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const { ensureConnection } = require('../config/db');
+const { ARCHIVE_MAX_FILES, ARCHIVE_MAX_BYTES } = require('../config/archive');
+const { planArchive, streamArchive } = require('../services/archive');
+const { auditResponse } = require('../services/audit');
+const { buildFileListQuery } = require('../utils/fileQuery');
+
+/**
+ * Download files as a ZIP
+ * POST /api/files/archive
+ *
+ * Body: { ids: [...] } for specific files, { category } for a whole
+ * category, or { filter: {...} } with the listing parameters of
+ * GET /api/files (e.g. { tag: 'kyc', meta: { customerId: 'C-1042' } }).
+ * Quarantined files are left out and listed in manifest.json.
+ */
+exports.createArchive = async (req, res) => {
+  const audit = auditResponse(req, res, { action: 'file.archive' });
+
+  try {
+    await ensureConnection();
+
+    let selection;
+    try {
+      selection = buildSelection(req.body || {});
+    } catch (selectionError) {
+      return res.status(400).json({
+        success: false,
+        message: selectionError.message
+      });
+    }
+
+    const files = await File.find({ ...selection.filter, ...req.accessScope, deletedAt: null })
+      .select('-statusHistory -versions -thumbnails')
+      .sort({ uploadDate: 1, _id: 1 })
+      .limit(ARCHIVE_MAX_FILES + 1);
+
+    if (selection.ids) {
+      const found = new Set(files.map(file => String(file._id)));
+      const missing = selection.ids.filter(id => !found.has(id));
+
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: `${missing.length} file(s) not found`,
+          missing
+        });
+      }
+    }
+
+    if (files.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No files match the selection'
+      });
+    }
+
+    if (files.length > ARCHIVE_MAX_FILES) {
+      return res.status(400).json({
+        success: false,
+        message: `An archive can contain at most ${ARCHIVE_MAX_FILES} files; narrow the selection`
+      });
+    }
+
+    const included = files.filter(file => !file.quarantined);
+    const skipped = files
+      .filter(file => file.quarantined)
+      .map(file => ({ id: file._id, originalName: file.originalName, reason: 'quarantined' }));
+
+    if (included.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'All selected files are quarantined'
+      });
+    }
+
+    const plan = planArchive(included, { skipped, user: req.user });
+
+    if (plan.manifest.totalSize > ARCHIVE_MAX_BYTES) {
+      return res.status(413).json({
+        success: false,
+        message: `Selected files exceed the ${Math.round(ARCHIVE_MAX_BYTES / 1024 / 1024)} MB archive limit`
+      });
+    }
+
+    audit.details = {
+      files: included.map(file => file._id),
+      skipped: skipped.map(file => file.id),
+      totalSize: plan.manifest.totalSize
+    };
+
+    console.log(`🗜️ Archiving ${included.length} file(s) (${skipped.length} skipped)`);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="files-${new Date().toISOString().slice(0, 10)}.zip"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'no-store'
+    });
+
+    await streamArchive(res, plan);
+
+  } catch (error) {
+    console.error('❌ Archive error:', error.message);
+
+    if (res.headersSent) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating archive',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Turn the request body into a File filter; throws on invalid input
+ */
+function buildSelection(body) {
+  if (body.ids !== undefined) {
+    if (!Array.isArray(body.ids) || body.ids.length === 0) {
+      throw new Error('ids must be a non-empty list of file IDs');
+    }
+
+    const ids = [...new Set(body.ids.map(String))];
+    const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+
+    if (invalid.length > 0) {
+      throw new Error(`Invalid file ID: ${invalid.join(', ')}`);
+    }
+    if (ids.length > ARCHIVE_MAX_FILES) {
+      throw new Error(`An archive can contain at most ${ARCHIVE_MAX_FILES} files`);
+    }
+
+    return { ids, filter: { _id: { $in: ids } } };
+  }
+
+  // { category } is shorthand for { filter: { category } }
+  const filter = body.filter || (body.category !== undefined ? { category: body.category } : null);
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Provide ids, a category or a filter');
+  }
+
+  // Only the filter parameters apply; paging and sorting do not
+  const { limit, cursor, sort, order, ...params } = filter;
+
+  return { filter: buildFileListQuery(params).filter };
+}
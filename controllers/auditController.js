@@ -0,0 +1,209 @@
+/**
+ * Audit Controller
+ * Search, export and verify the audit log (admin)
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+const { ensureConnection } = require('../config/db');
+const { buildAuditQuery } = require('../utils/auditQuery');
+const { verifyAuditChain } = require('../services/audit');
+
+const CSV_COLUMNS = [
+  'seq',
+  'timestamp',
+  'action',
+  'outcome',
+  'actor',
+  'actorEmail',
+  'actorRole',
+  'file',
+  'fileName',
+  'fileOwner',
+  'shareLink',
+  'ip',
+  'userAgent',
+  'statusCode',
+  'details',
+  'prevHash',
+  'hash'
+];
+
+/**
+ * Search the audit log
+ * GET /api/audit
+ *
+ * Newest first, paginated with `before`. With `format=csv` every matching
+ * entry is streamed as CSV, oldest first.
+ */
+exports.listAuditEvents = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    let auditQuery;
+    try {
+      auditQuery = buildAuditQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError.message
+      });
+    }
+
+    const { filter, pageFilter, limit } = auditQuery;
+
+    if (req.query.format === 'csv') {
+      return streamCsv(res, pageFilter);
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(pageFilter).sort({ seq: -1 }).limit(limit + 1).lean(),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    const hasMore = events.length > limit;
+    const page = hasMore ? events.slice(0, limit) : events;
+
+    res.json({
+      success: true,
+      count: page.length,
+      total,
+      hasMore,
+      nextBefore: hasMore ? page[page.length - 1].seq : null,
+      events: page.map(serializeEvent)
+    });
+
+  } catch (error) {
+    console.error('❌ Audit query error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verify the audit log hash chain
+ * GET /api/audit/verify
+ */
+exports.verifyAuditLog = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const result = await verifyAuditChain();
+
+    if (!result.valid) {
+      console.error(`❌ Audit chain broken at entry ${result.brokenAt}: ${result.reason}`);
+    }
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? `Audit log intact (${result.checked} entries)`
+        : `Audit log tampered with at entry ${result.brokenAt}`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ Audit verify error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying audit log',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stream matching entries as CSV
+ */
+async function streamCsv(res, filter) {
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="audit-${date}.csv"`,
+    'Cache-Control': 'no-store'
+  });
+
+  res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+  const cursor = AuditEvent.find(filter).sort({ seq: 1 }).lean().cursor();
+  res.on('close', () => {
+    if (!res.writableFinished) cursor.close().catch(() => {});
+  });
+
+  try {
+    for await (const event of cursor) {
+      const row = serializeEvent(event);
+      const line = CSV_COLUMNS.map(column => csvCell(row[column])).join(',');
+
+      // Respect backpressure on large exports; stop if the client goes away
+      if (!res.write(`${line}\n`)) {
+        await drainedOrClosed(res);
+        if (res.destroyed) return;
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('❌ Audit export error:', error.message);
+    res.destroy(error);
+  }
+}
+
+/**
+ * Wait until `res` can take more data or has closed
+ */
+function drainedOrClosed(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+/**
+ * Quote a CSV value; cells that spreadsheets would run as formulas are
+ * prefixed with a quote
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  else if (value.constructor === Object) text = JSON.stringify(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (/[",\n\r]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+/**
+ * Audit entry representation
+ */
+function serializeEvent(event) {
+  return {
+    id: event._id,
+    seq: event.seq,
+    timestamp: event.timestamp,
+    action: event.action,
+    outcome: event.outcome,
+    actor: event.actor,
+    actorEmail: event.actorEmail,
+    actorRole: event.actorRole,
+    file: event.file,
+    fileName: event.fileName,
+    fileOwner: event.fileOwner,
+    shareLink: event.shareLink,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    statusCode: event.statusCode,
+    details: event.details,
+    prevHash: event.prevHash,
+    hash: event.hash
+  };
+}
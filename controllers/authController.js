@@ -0,0 +1,110 @@
+/**
+ * Auth Controller
+ * Handles registration, login and current-user lookup
+ */
+
+const User = require('../models/User');
+const { ensureConnection } = require('../config/db');
+const { signToken, JWT_EXPIRES_IN } = require('../config/auth');
+
+/**
+ * Register a new user
+ * POST /api/auth/register
+ */
+exports.register = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const { name, email, password } = req.body;
+
+    const existing = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const user = new User({ name, email, password });
+    await user.save();
+
+    console.log(`👤 Registered: ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      token: signToken(user),
+      expiresIn: JWT_EXPIRES_IN,
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('❌ Register error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ */
+exports.login = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    console.log(`🔑 Logged in: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      token: signToken(user),
+      expiresIn: JWT_EXPIRES_IN,
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('❌ Login error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the authenticated user
+ * GET /api/auth/me
+ */
+exports.getMe = async (req, res) => {
+  res.json({
+    success: true,
+    user: req.user.toPublicJSON()
+  });
+};
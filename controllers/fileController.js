@@ -3,12 +3,36 @@
  * Handles all file operations using GridFS
  */
 
+const fs = require('fs');
+const { matchedData } = require('express-validator');
 const File = require('../models/File');
 const { ensureConnection } = require('../config/db');
+const { DAY_MS, TRASH_RETENTION_DAYS } = require('../config/retention');
+const { scanStoredFile } = require('../services/scanners');
+const { destroyFile } = require('../services/fileRemoval');
+const { saveWithStoredContent } = require('../services/fileStorage');
+const { openZipImport } = require('../services/zipImport');
+const { storeUploadStream } = require('../middleware/gridfsStorage');
+const { recordAudit, auditResponse } = require('../services/audit');
+const { checkQuota, sendQuotaExceeded } = require('../services/quota');
+const {
+  UPDATABLE_FILE_FIELDS,
+  sendValidationErrors,
+  mongooseValidationErrors
+} = require('../middleware/validate');
+const {
+  THUMBNAIL_SIZES,
+  DEFAULT_THUMBNAIL_SIZE,
+  createThumbnailsForUpload,
+  removeThumbnailObjects
+} = require('../services/thumbnails');
+const { buildFileListQuery, encodeCursor } = require('../utils/fileQuery');
+const { normalizeTags, normalizeCustomFields } = require('../utils/customFields');
 const { 
-  uploadToGridFS, 
-  downloadFromGridFS, 
-  deleteFromGridFS,
+  updateGridFSMetadata,
+  releaseGridFSFile,
+  hashGridFSFile,
+  getGridFSFile,
   getDownloadStream 
 } = require('../config/gridfs');
 
@@ -17,6 +41,11 @@ const {
  * POST /api/files/upload
  */
 exports.uploadFile = async (req, res) => {
+  const audit = auditResponse(req, res, {
+    action: 'file.upload',
+    fileName: req.file ? req.file.originalname : undefined
+  });
+
   try {
     // Ensure database connection
     await ensureConnection();
@@ -28,44 +57,49 @@ exports.uploadFile = async (req, res) => {
       });
     }
 
-    const { originalname, mimetype, size, buffer } = req.file;
+    const labels = await parseUploadLabels(req);
+    if (labels.errors.length > 0) {
+      return sendValidationErrors(res, labels.errors);
+    }
+
+    // File content was already streamed into GridFS by the storage engine
+    const { originalname, mimetype, size, gridfsId, sha256, detectedMimeType, strippedMetadata } = req.file;
     const { category, description } = req.body;
 
-    console.log(`📤 Uploading: ${originalname} (${(size / 1024 / 1024).toFixed(2)} MB)`);
-
-    // Upload to GridFS
-    const gridfsResult = await uploadToGridFS(buffer, originalname, {
-      contentType: mimetype,
-      metadata: { category, description }
-    });
+    console.log(`📤 Uploaded: ${originalname} (${(size / 1024 / 1024).toFixed(2)} MB)`);
 
     // Create file record
     const file = new File({
       originalName: originalname,
       mimeType: mimetype,
+      detectedMimeType: detectedMimeType,
+      strippedMetadata: strippedMetadata || undefined,
       size: size,
       category: category || 'other',
       description: description || '',
-      gridfsId: gridfsResult.fileId,
+      ...labels.values,
+      owner: req.user._id,
+      gridfsId: gridfsId,
+      sha256: sha256,
       isGridFS: true
     });
 
-    await file.save();
+    // The content is released again if the record cannot be saved
+    await saveWithStoredContent([gridfsId], session => file.save({ session }));
+    audit.file = file;
 
     console.log(`✅ File saved: ${originalname}`);
 
+    // Scan before the file becomes downloadable
+    await scanStoredFile(file);
+    await createThumbnailsForUpload(file);
+
     res.status(201).json({
       success: true,
-      message: 'File uploaded successfully',
-      file: {
-        id: file._id,
-        originalName: file.originalName,
-        mimeType: file.mimeType,
-        size: file.size,
-        category: file.category,
-        description: file.description,
-        uploadDate: file.uploadDate
-      }
+      message: file.quarantined
+        ? 'File uploaded but quarantined by the malware scan'
+        : 'File uploaded successfully',
+      file: serializeFile(file)
     });
 
   } catch (error) {
@@ -93,6 +127,11 @@ exports.uploadMultipleFiles = async (req, res) => {
       });
     }
 
+    const labels = await parseUploadLabels(req);
+    if (labels.errors.length > 0) {
+      return sendValidationErrors(res, labels.errors);
+    }
+
     console.log(`📤 Uploading ${req.files.length} files...`);
 
     const uploadedFiles = [];
@@ -100,42 +139,23 @@ exports.uploadMultipleFiles = async (req, res) => {
 
     for (const file of req.files) {
       try {
-        const { originalname, mimetype, size, buffer } = file;
-        
-        console.log(`   📁 Processing: ${originalname}`);
-
-        // Upload to GridFS
-        const gridfsResult = await uploadToGridFS(buffer, originalname, {
-          contentType: mimetype,
-          metadata: { category: req.body.category }
-        });
+        console.log(`   📁 Processing: ${file.originalname}`);
 
-        // Create file record
-        const fileDoc = new File({
-          originalName: originalname,
-          mimeType: mimetype,
-          size: size,
-          category: req.body.category || 'other',
-          description: req.body.description || '',
-          gridfsId: gridfsResult.fileId,
-          isGridFS: true
-        });
-
-        await fileDoc.save();
+        const fileDoc = await saveStoredUpload(req, file, labels.values);
 
-        uploadedFiles.push({
-          id: fileDoc._id,
-          originalName: fileDoc.originalName,
-          mimeType: fileDoc.mimeType,
-          size: fileDoc.size,
-          category: fileDoc.category,
-          uploadDate: fileDoc.uploadDate
-        });
+        uploadedFiles.push(serializeFile(fileDoc));
+        recordAudit(req, { action: 'file.upload', file: fileDoc, statusCode: 201 });
 
-        console.log(`   ✅ Saved: ${originalname}`);
+        console.log(`   ✅ Saved: ${file.originalname}`);
 
       } catch (fileError) {
         console.error(`   ❌ Failed: ${file.originalname}`, fileError.message);
+        recordAudit(req, {
+          action: 'file.upload',
+          outcome: 'failure',
+          fileName: file.originalname,
+          details: { error: fileError.message }
+        });
         errors.push({
           filename: file.originalname,
           error: fileError.message
@@ -161,33 +181,175 @@ exports.uploadMultipleFiles = async (req, res) => {
 };
 
 /**
- * Get all files
+ * Import the files in a ZIP archive
+ * POST /api/files/import
+ *
+ * Each entry goes through the same type checks and storage as a normal
+ * upload; unsafe paths, nested archives and zip bombs are rejected. The
+ * form fields of a normal upload apply to every imported file.
+ */
+exports.importZip = async (req, res) => {
+  let zipfile = null;
+
+  try {
+    await ensureConnection();
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No ZIP archive uploaded'
+      });
+    }
+
+    const labels = await parseUploadLabels(req);
+    if (labels.errors.length > 0) {
+      return sendValidationErrors(res, labels.errors);
+    }
+
+    let plan;
+    try {
+      plan = await openZipImport(req.file.path);
+    } catch (importError) {
+      if (!importError.status) throw importError;
+
+      return res.status(importError.status).json({
+        success: false,
+        message: importError.message
+      });
+    }
+
+    zipfile = plan.zipfile;
+    const archive = req.file.originalname;
+
+    // Refuse the whole import up front if its contents cannot fit
+    const quotaProblem = checkQuota(req.quota, {
+      bytes: plan.entries.reduce((total, item) => total + item.entry.uncompressedSize, 0),
+      files: plan.entries.length
+    });
+    if (quotaProblem) {
+      return sendQuotaExceeded(res, quotaProblem, req.quota);
+    }
+    const importedFiles = [];
+    const errors = [];
+
+    const recordFailure = (filename, message) => {
+      errors.push({ filename, error: message });
+      recordAudit(req, {
+        action: 'file.upload',
+        outcome: 'failure',
+        fileName: filename,
+        details: { archive, error: message }
+      });
+    };
+
+    plan.rejected.forEach(({ filename, error }) => recordFailure(filename, error));
+
+    console.log(`📦 Importing ${plan.entries.length} file(s) from ${archive} (${plan.rejected.length} rejected)`);
+
+    for (const item of plan.entries) {
+      let stream = null;
+
+      try {
+        stream = await zipfile.openReadStreamPromise(item.entry);
+
+        const upload = {
+          originalname: item.name,
+          mimetype: item.mimeType,
+          ...(await storeUploadStream(req, { stream, originalname: item.name, mimetype: item.mimeType }))
+        };
+        const fileDoc = await saveStoredUpload(req, upload, labels.values);
+
+        importedFiles.push(serializeFile(fileDoc));
+        recordAudit(req, {
+          action: 'file.upload',
+          file: fileDoc,
+          statusCode: 201,
+          details: { archive, entry: item.path }
+        });
+
+        console.log(`   ✅ Imported: ${item.path}`);
+
+      } catch (entryError) {
+        if (stream) stream.destroy();
+
+        console.error(`   ❌ Failed: ${item.path}`, entryError.message);
+        recordFailure(item.path, entryError.message);
+      }
+    }
+
+    const total = plan.entries.length + plan.rejected.length;
+
+    res.status(importedFiles.length > 0 ? 201 : 400).json({
+      success: importedFiles.length > 0,
+      message: `${importedFiles.length} of ${total} file(s) imported from ${archive}`,
+      files: importedFiles,
+      errors: errors.length > 0 ? errors : undefined
+    });
+
+  } catch (error) {
+    console.error('❌ ZIP import error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing ZIP archive',
+      error: error.message
+    });
+  } finally {
+    if (zipfile) zipfile.close();
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Get files visible to the current user
  * GET /api/files
+ *
+ * Cursor-paginated; see utils/fileQuery.js for the supported sort, filter
+ * and search parameters.
  */
 exports.getAllFiles = async (req, res) => {
   try {
     await ensureConnection();
 
-    const files = await File.find({})
-      .select('-gridfsId')
-      .sort({ uploadDate: -1 })
-      .lean();
+    let listQuery;
+    try {
+      listQuery = buildFileListQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError.message
+      });
+    }
+
+    const { filter, pageFilter, sort, limit, sortKey, order } = listQuery;
+
+    // Trashed files are only listed by the trash view
+    const visibility = { deletedAt: req.listTrash ? { $ne: null } : null };
 
-    console.log(`📋 Found ${files.length} files`);
+    // Fetch one extra document to know whether another page follows
+    const [files, total] = await Promise.all([
+      File.find({ ...pageFilter, ...req.accessScope, ...visibility })
+        .select('-gridfsId -statusHistory -versions')
+        .sort(sort)
+        .limit(limit + 1)
+        .lean(),
+      File.countDocuments({ ...filter, ...req.accessScope, ...visibility })
+    ]);
+
+    const hasMore = files.length > limit;
+    const page = hasMore ? files.slice(0, limit) : files;
+
+    console.log(`📋 Found ${total} files (returning ${page.length})`);
 
     res.json({
       success: true,
-      count: files.length,
-      files: files.map(file => ({
-        id: file._id,
-        originalName: file.originalName,
-        mimeType: file.mimeType,
-        size: file.size,
-        sizeFormatted: formatFileSize(file.size),
-        category: file.category,
-        description: file.description,
-        uploadDate: file.uploadDate
-      }))
+      count: page.length,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortKey, order) : null,
+      ...(req.listTrash && { trashRetentionDays: TRASH_RETENTION_DAYS }),
+      files: page.map(serializeFile)
     });
 
   } catch (error) {
@@ -208,27 +370,12 @@ exports.getFileById = async (req, res) => {
   try {
     await ensureConnection();
 
-    const file = await File.findById(req.params.id).select('-gridfsId').lean();
-
-    if (!file) {
-      return res.status(404).json({
-        success: false,
-        message: 'File not found'
-      });
-    }
+    const file = req.fileDoc;
+    auditResponse(req, res, { action: 'file.read', file });
 
     res.json({
       success: true,
-      file: {
-        id: file._id,
-        originalName: file.originalName,
-        mimeType: file.mimeType,
-        size: file.size,
-        sizeFormatted: formatFileSize(file.size),
-        category: file.category,
-        description: file.description,
-        uploadDate: file.uploadDate
-      }
+      file: serializeFileDetails(file)
     });
 
   } catch (error) {
@@ -249,28 +396,24 @@ exports.downloadFile = async (req, res) => {
   try {
     await ensureConnection();
 
-    const file = await File.findById(req.params.id);
+    const file = req.fileDoc;
+    const content = resolveVersion(file, req.query.version);
+    auditResponse(req, res, {
+      action: 'file.download',
+      file,
+      details: { version: req.query.version ? Number(req.query.version) : file.version, range: req.headers.range }
+    });
 
-    if (!file) {
+    if (!content) {
       return res.status(404).json({
         success: false,
-        message: 'File not found'
+        message: 'Version not found'
       });
     }
 
     console.log(`📥 Downloading: ${file.originalName}`);
 
-    // Get file data from GridFS
-    const fileBuffer = await downloadFromGridFS(file.gridfsId);
-
-    // Set headers
-    res.set({
-      'Content-Type': file.mimeType,
-      'Content-Disposition': `attachment; filename="${encodeURIComponent(file.originalName)}"`,
-      'Content-Length': fileBuffer.length
-    });
-
-    res.send(fileBuffer);
+    streamFile(req, res, content, 'attachment', 'Error downloading file');
 
   } catch (error) {
     console.error('❌ Download error:', error.message);
@@ -290,69 +433,410 @@ exports.viewFile = async (req, res) => {
   try {
     await ensureConnection();
 
-    const file = await File.findById(req.params.id);
+    const file = req.fileDoc;
+    const content = resolveVersion(file, req.query.version);
+    auditResponse(req, res, {
+      action: 'file.view',
+      file,
+      details: { version: req.query.version ? Number(req.query.version) : file.version, range: req.headers.range }
+    });
 
-    if (!file) {
+    if (!content) {
       return res.status(404).json({
         success: false,
-        message: 'File not found'
+        message: 'Version not found'
       });
     }
 
-    // Get file data from GridFS
-    const fileBuffer = await downloadFromGridFS(file.gridfsId);
+    // Stream inline for viewing
+    streamFile(req, res, content, 'inline', 'Error viewing file');
+
+  } catch (error) {
+    console.error('❌ View error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error viewing file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update file metadata
+ * PATCH /api/files/:id (PUT is accepted as an alias)
+ *
+ * Accepts any of originalName, category, description, tags and metadata;
+ * other fields are rejected. Changing the category recomputes the retention date.
+ */
+exports.updateFile = async (req, res) => {
+  const file = req.fileDoc;
+  const audit = auditResponse(req, res, { action: 'file.update', file });
 
-    // Set headers for inline viewing
+  try {
+    await ensureConnection();
+
+    const updates = matchedData(req, { locations: ['body'] });
+    const changes = {};
+
+    UPDATABLE_FILE_FIELDS.filter(field => field in updates).forEach((field) => {
+      const value = updates[field];
+      const current = Array.isArray(file[field]) ? file[field].toObject() : file[field];
+
+      if (JSON.stringify(current) !== JSON.stringify(value)) {
+        changes[field] = { from: current, to: value };
+        file[field] = value;
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes',
+        changed: [],
+        file: serializeFileDetails(file)
+      });
+    }
+
+    await file.save();
+    audit.details = { changes };
+
+    // The GridFS object carries the name and category it was stored with,
+    // unless other files share it; the File record is authoritative
+    await updateGridFSMetadata(file.gridfsId, {
+      filename: file.originalName,
+      metadata: { category: file.category }
+    });
+
+    console.log(`✏️ Updated ${Object.keys(changes).join(', ')}: ${file.originalName}`);
+
+    res.json({
+      success: true,
+      message: 'File updated',
+      changed: Object.keys(changes),
+      file: serializeFileDetails(file)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, mongooseValidationErrors(error));
+    }
+
+    console.error('❌ Update error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Upload a new version of a file
+ * POST /api/files/:id/versions
+ *
+ * The upload becomes the current version; the previous content stays
+ * available through ?version= on the download and view routes.
+ */
+exports.uploadVersion = async (req, res) => {
+  const file = req.fileDoc;
+  const audit = auditResponse(req, res, { action: 'file.version', file });
+
+  try {
+    await ensureConnection();
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const { originalname, mimetype, size, gridfsId, sha256, detectedMimeType, strippedMetadata } = req.file;
+    const previousThumbnails = file.thumbnails;
+
+    file.addVersion({
+      originalName: originalname,
+      mimeType: mimetype,
+      detectedMimeType,
+      strippedMetadata,
+      size,
+      sha256,
+      gridfsId
+    }, req.user._id);
+
+    await saveWithStoredContent([gridfsId], session => file.save({ session }));
+    await removeThumbnailObjects(previousThumbnails);
+    audit.details = { version: file.version };
+
+    console.log(`📤 Version ${file.version} uploaded: ${file.originalName}`);
+
+    // Scan before the new version becomes downloadable
+    await scanStoredFile(file);
+    await createThumbnailsForUpload(file);
+
+    res.status(201).json({
+      success: true,
+      message: file.quarantined
+        ? `Version ${file.version} uploaded but quarantined by the malware scan`
+        : `Version ${file.version} uploaded successfully`,
+      file: serializeFileDetails(file)
+    });
+
+  } catch (error) {
+    console.error('❌ Version upload error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List a file's versions, newest first
+ * GET /api/files/:id/versions
+ */
+exports.listVersions = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    auditResponse(req, res, { action: 'file.read', file: req.fileDoc, details: { view: 'versions' } });
+
+    const file = await File.findById(req.fileDoc._id)
+      .select('owner uploadedBy version versions originalName mimeType size sha256 quarantined uploadDate')
+      .populate('owner uploadedBy versions.uploadedBy', 'name email')
+      .lean();
+
+    const current = { ...file, number: file.version, uploadedBy: file.uploadedBy || file.owner };
+    const versions = [current, ...file.versions.slice().reverse()];
+
+    res.json({
+      success: true,
+      currentVersion: file.version,
+      count: versions.length,
+      versions: versions.map(version => ({
+        version: version.number,
+        current: version.number === file.version,
+        originalName: version.originalName,
+        mimeType: version.mimeType,
+        size: version.size,
+        sizeFormatted: formatFileSize(version.size),
+        sha256: version.sha256,
+        quarantined: Boolean(version.quarantined),
+        uploadedBy: version.uploadedBy
+          ? { id: version.uploadedBy._id, name: version.uploadedBy.name, email: version.uploadedBy.email }
+          : null,
+        uploadDate: version.uploadDate
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ List versions error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a thumbnail preview
+ * GET /api/files/:id/thumbnail?size=small|medium|large
+ */
+exports.getThumbnail = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const file = req.fileDoc;
+    const size = req.query.size || DEFAULT_THUMBNAIL_SIZE;
+    auditResponse(req, res, { action: 'file.thumbnail', file, details: { size } });
+
+    if (!Object.prototype.hasOwnProperty.call(THUMBNAIL_SIZES, size)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid size. Allowed: ${Object.keys(THUMBNAIL_SIZES).join(', ')}`
+      });
+    }
+
+    if (file.quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: 'File is quarantined'
+      });
+    }
+
+    const thumbnail = file.thumbnails.find(t => t.size === size);
+
+    if (!thumbnail) {
+      return res.status(404).json({
+        success: false,
+        message: 'No thumbnail available for this file'
+      });
+    }
+
+    // A regenerated thumbnail is a new GridFS object, so its id is the ETag
     res.set({
-      'Content-Type': file.mimeType,
-      'Content-Disposition': `inline; filename="${encodeURIComponent(file.originalName)}"`,
-      'Content-Length': fileBuffer.length
+      'Content-Type': thumbnail.contentType,
+      'X-Content-Type-Options': 'nosniff',
+      'ETag': `"${thumbnail.gridfsId}"`,
+      'Last-Modified': new Date(thumbnail.createdAt).toUTCString(),
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.set('Content-Length', thumbnail.length);
+
+    const stream = getDownloadStream(thumbnail.gridfsId);
+
+    stream.on('error', (error) => {
+      console.error('❌ Thumbnail stream error:', error.message);
+
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      ['Content-Length', 'ETag', 'Last-Modified', 'Cache-Control']
+        .forEach(header => res.removeHeader(header));
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching thumbnail',
+        error: error.message
+      });
     });
 
-    res.send(fileBuffer);
+    res.on('close', () => stream.destroy());
+
+    stream.pipe(res);
 
   } catch (error) {
-    console.error('❌ View error:', error.message);
+    console.error('❌ Thumbnail error:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Error viewing file',
+      message: 'Error fetching thumbnail',
       error: error.message
     });
   }
 };
 
 /**
- * Delete file
+ * Delete file (moves it to the trash)
  * DELETE /api/files/:id
+ *
+ * Trashed files are hidden everywhere except the trash and are removed
+ * for good after TRASH_RETENTION_DAYS unless restored first.
  */
 exports.deleteFile = async (req, res) => {
   try {
     await ensureConnection();
 
-    const file = await File.findById(req.params.id);
+    const file = req.fileDoc;
+    auditResponse(req, res, { action: 'file.delete', file });
 
-    if (!file) {
-      return res.status(404).json({
+    if (file.legalHold && file.legalHold.active) {
+      return res.status(409).json({
         success: false,
-        message: 'File not found'
+        message: 'File is under legal hold and cannot be deleted'
       });
     }
 
-    console.log(`🗑️ Deleting: ${file.originalName}`);
+    file.deletedAt = new Date();
+    file.deletedBy = req.user._id;
+    await file.save();
+
+    console.log(`🗑️ Moved to trash: ${file.originalName}`);
+
+    res.json({
+      success: true,
+      message: 'File moved to trash',
+      purgeAt: new Date(file.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+    });
+
+  } catch (error) {
+    console.error('❌ Delete error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List files in the trash
+ * GET /api/files/trash
+ *
+ * Same parameters as GET /api/files
+ */
+exports.getTrash = (req, res) => {
+  req.listTrash = true;
+  return exports.getAllFiles(req, res);
+};
+
+/**
+ * Restore a file from the trash
+ * POST /api/files/:id/restore
+ */
+exports.restoreFile = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const file = req.fileDoc;
+    auditResponse(req, res, { action: 'file.restore', file });
+
+    file.deletedAt = null;
+    file.deletedBy = undefined;
+    await file.save();
+
+    console.log(`♻️ Restored: ${file.originalName}`);
+
+    res.json({
+      success: true,
+      message: 'File restored',
+      file: serializeFile(file)
+    });
+
+  } catch (error) {
+    console.error('❌ Restore error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Permanently delete a file that is in the trash
+ * DELETE /api/files/:id/permanent
+ */
+exports.deleteFilePermanently = async (req, res) => {
+  try {
+    await ensureConnection();
 
-    // Delete from GridFS
-    if (file.gridfsId) {
-      await deleteFromGridFS(file.gridfsId);
+    const file = req.fileDoc;
+    auditResponse(req, res, { action: 'file.purge', file, details: { reason: 'user' } });
+
+    if (file.legalHold && file.legalHold.active) {
+      return res.status(409).json({
+        success: false,
+        message: 'File is under legal hold and cannot be deleted'
+      });
     }
 
-    // Delete file record
-    await File.findByIdAndDelete(req.params.id);
+    console.log(`🗑️ Deleting: ${file.originalName}`);
+
+    // Content, thumbnails, share links and the record
+    await destroyFile(file);
 
     console.log(`✅ Deleted: ${file.originalName}`);
 
     res.json({
       success: true,
-      message: 'File deleted successfully'
+      message: 'File permanently deleted'
     });
 
   } catch (error) {
@@ -368,44 +852,441 @@ exports.deleteFile = async (req, res) => {
 /**
  * Get files by category
  * GET /api/files/category/:category
+ *
+ * Alias for GET /api/files?category=:category
+ */
+exports.getFilesByCategory = (req, res) => {
+  req.query.category = req.params.category;
+  return exports.getAllFiles(req, res);
+};
+
+/**
+ * Record a review outcome
+ * POST /api/files/:id/review
  */
-exports.getFilesByCategory = async (req, res) => {
+exports.reviewFile = async (req, res) => {
   try {
     await ensureConnection();
 
-    const { category } = req.params;
+    const file = req.fileDoc;
+    const { status, note, reason } = req.body;
+    auditResponse(req, res, { action: 'file.review', file, details: { from: file.status, to: status } });
 
-    const files = await File.find({ category })
-      .select('-gridfsId')
-      .sort({ uploadDate: -1 })
+    // Nobody reviews their own documents
+    const uploader = file.uploadedBy || file.owner;
+    if (file.owner.equals(req.user._id) || uploader.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own files'
+      });
+    }
+
+    try {
+      file.transitionTo(status, { actor: req.user._id, note, reason });
+    } catch (transitionError) {
+      if (transitionError.code !== 'INVALID_TRANSITION') throw transitionError;
+      return res.status(409).json({
+        success: false,
+        message: transitionError.message
+      });
+    }
+
+    await file.save();
+
+    console.log(`🔎 Reviewed: ${file.originalName} → ${status}`);
+
+    res.json({
+      success: true,
+      message: `File marked as ${status}`,
+      file: serializeFileDetails(file)
+    });
+
+  } catch (error) {
+    console.error('❌ Review error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get verification status history
+ * GET /api/files/:id/history
+ */
+exports.getStatusHistory = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    auditResponse(req, res, { action: 'file.read', file: req.fileDoc, details: { view: 'history' } });
+
+    const file = await File.findById(req.fileDoc._id)
+      .select('status statusHistory')
+      .populate('statusHistory.changedBy', 'name email role')
       .lean();
 
     res.json({
       success: true,
-      category: category,
-      count: files.length,
-      files: files.map(file => ({
-        id: file._id,
-        originalName: file.originalName,
-        mimeType: file.mimeType,
-        size: file.size,
-        sizeFormatted: formatFileSize(file.size),
-        category: file.category,
-        description: file.description,
-        uploadDate: file.uploadDate
+      status: file.status,
+      history: file.statusHistory.map(entry => ({
+        from: entry.from,
+        to: entry.to,
+        note: entry.note,
+        reason: entry.reason,
+        changedAt: entry.changedAt,
+        changedBy: entry.changedBy
+          ? { id: entry.changedBy._id, name: entry.changedBy.name, email: entry.changedBy.email, role: entry.changedBy.role }
+          : null
       }))
     });
 
   } catch (error) {
-    console.error('❌ Get by category error:', error.message);
+    console.error('❌ Get history error:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Error fetching files',
+      message: 'Error fetching status history',
       error: error.message
     });
   }
 };
 
+/**
+ * Re-run the malware scan (e.g. after a scanner outage)
+ * POST /api/files/:id/scan
+ */
+exports.rescanFile = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const audit = auditResponse(req, res, { action: 'file.scan', file: req.fileDoc });
+    const file = await scanStoredFile(req.fileDoc);
+    audit.details = { scanStatus: file.scan ? file.scan.status : null, quarantined: Boolean(file.quarantined) };
+
+    // Files released from quarantine get the previews they were skipped for
+    if (file.thumbnails.length === 0) {
+      await createThumbnailsForUpload(file);
+    }
+
+    res.json({
+      success: true,
+      message: file.quarantined ? 'File is quarantined' : 'File is clean',
+      file: serializeFileDetails(file)
+    });
+
+  } catch (error) {
+    console.error('❌ Rescan error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error scanning file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-hash stored content and compare it with the recorded checksum
+ * GET /api/files/:id/verify
+ */
+exports.verifyFile = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const file = req.fileDoc;
+    const audit = auditResponse(req, res, { action: 'file.verify', file });
+    const gridFile = await getGridFSFile(file.gridfsId);
+
+    if (!gridFile) {
+      return res.json({
+        success: true,
+        verified: false,
+        message: 'Stored content is missing',
+        mismatches: [{ field: 'content', expected: file.sha256 || null, actual: null }]
+      });
+    }
+
+    const expected = file.sha256 || (gridFile.metadata && gridFile.metadata.sha256);
+
+    if (!expected) {
+      return res.json({
+        success: true,
+        verified: false,
+        message: 'No checksum was recorded for this file',
+        mismatches: []
+      });
+    }
+
+    let actual;
+    try {
+      actual = await hashGridFSFile(file.gridfsId);
+    } catch (readError) {
+      console.error(`❌ Verify failed for ${file.originalName}:`, readError.message);
+      return res.json({
+        success: true,
+        verified: false,
+        message: readError.message,
+        mismatches: [{ field: 'content', expected, actual: null }]
+      });
+    }
+
+    const mismatches = [];
+    if (actual.sha256 !== expected) {
+      mismatches.push({ field: 'sha256', expected, actual: actual.sha256 });
+    }
+    if (gridFile.metadata && gridFile.metadata.sha256 && gridFile.metadata.sha256 !== expected) {
+      mismatches.push({ field: 'storedSha256', expected, actual: gridFile.metadata.sha256 });
+    }
+    if (actual.length !== file.size) {
+      mismatches.push({ field: 'size', expected: file.size, actual: actual.length });
+    }
+
+    if (mismatches.length > 0) {
+      console.log(`⚠️  Integrity mismatch: ${file.originalName}`);
+    }
+    audit.details = { verified: mismatches.length === 0 };
+
+    res.json({
+      success: true,
+      verified: mismatches.length === 0,
+      message: mismatches.length === 0 ? 'File content is intact' : 'File content does not match its checksum',
+      algorithm: 'sha256',
+      sha256: actual.sha256,
+      size: actual.length,
+      mismatches
+    });
+
+  } catch (error) {
+    console.error('❌ Verify error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Why a quarantined file cannot be served
+ */
+const quarantineMessage = (file) => {
+  const status = file.scan && file.scan.status;
+  if (status === 'infected') return 'File is quarantined: malware detected';
+  if (status === 'skipped') return 'File is quarantined: malware scanning is disabled';
+  return 'File is quarantined until it passes a malware scan';
+};
+
+/**
+ * Stream stored content to the response.
+ * Quarantined files are refused.
+ * Supports single byte ranges (206), If-Range, and ETag / Last-Modified
+ * conditional requests (304).
+ */
+function streamFile(req, res, file, disposition, errorMessage) {
+  if (file.quarantined) {
+    return res.status(403).json({
+      success: false,
+      message: quarantineMessage(file)
+    });
+  }
+
+  const etag = `"${file.gridfsId}"`;
+  const lastModified = new Date(file.uploadDate).toUTCString();
+
+  res.set({
+    'Content-Type': file.mimeType,
+    'Content-Disposition': `${disposition}; filename="${encodeURIComponent(file.originalName)}"`,
+    'Accept-Ranges': 'bytes',
+    'X-Content-Type-Options': 'nosniff',
+    'ETag': etag,
+    'Last-Modified': lastModified,
+    'Cache-Control': 'private, no-cache'
+  });
+
+  // If-None-Match / If-Modified-Since
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // A Range is only honoured if If-Range (when present) still matches
+  let range = null;
+  const ifRange = req.headers['if-range'];
+
+  if (req.headers.range && (!ifRange || ifRange === etag || ifRange === lastModified)) {
+    const ranges = req.range(file.size, { combine: true });
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      res.removeHeader('Content-Disposition');
+      return res.status(416).json({
+        success: false,
+        message: 'Requested range not satisfiable'
+      });
+    }
+
+    // Malformed or multi-range requests fall back to the full content
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+    }
+  }
+
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${file.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.set('Content-Length', file.size);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const stream = getDownloadStream(
+    file.gridfsId,
+    range ? { start: range.start, end: range.end + 1 } : {}
+  );
+
+  stream.on('error', (error) => {
+    console.error('❌ Stream error:', error.message);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    ['Content-Disposition', 'Content-Range', 'Content-Length', 'ETag', 'Last-Modified']
+      .forEach(header => res.removeHeader(header));
+    res.status(500).json({
+      success: false,
+      message: errorMessage,
+      error: error.message
+    });
+  });
+
+  // Stop reading from GridFS if the client goes away
+  res.on('close', () => stream.destroy());
+
+  stream.pipe(res);
+}
+
+/**
+ * The content to serve: the current version, or the earlier version named
+ * by `?version=`. Returns null when there is no such version.
+ */
+function resolveVersion(file, requested) {
+  if (requested === undefined || Number(requested) === file.version) {
+    return file;
+  }
+
+  return file.versions.find(version => version.number === Number(requested)) || null;
+}
+
+/**
+ * Tags and custom fields from upload form fields. When either is invalid
+ * the uploaded content is released and the errors are returned in the
+ * validation error format.
+ */
+async function parseUploadLabels(req) {
+  const values = {};
+  const errors = [];
+
+  [['tags', normalizeTags], ['metadata', normalizeCustomFields]].forEach(([field, normalize]) => {
+    const input = req.body[field];
+    if (input === undefined || input === '') return;
+
+    try {
+      values[field] = normalize(input);
+    } catch (error) {
+      errors.push({ field, message: error.message });
+    }
+  });
+
+  if (errors.length > 0) {
+    const uploads = req.files || (req.file ? [req.file] : []);
+    await Promise.all(uploads
+      .filter(upload => upload.gridfsId)
+      .map(upload => releaseGridFSFile(upload.gridfsId)));
+  }
+
+  return { values, errors };
+}
+
+exports.parseUploadLabels = parseUploadLabels;
+
+/**
+ * Create the File record for content already stored in GridFS, then scan
+ * it and generate thumbnails. `upload` has the fields multer's GridFS
+ * storage puts on `req.files`.
+ */
+async function saveStoredUpload(req, upload, labels) {
+  const fileDoc = new File({
+    originalName: upload.originalname,
+    mimeType: upload.mimetype,
+    detectedMimeType: upload.detectedMimeType,
+    strippedMetadata: upload.strippedMetadata || undefined,
+    size: upload.size,
+    category: req.body.category || 'other',
+    description: req.body.description || '',
+    ...labels,
+    owner: req.user._id,
+    gridfsId: upload.gridfsId,
+    sha256: upload.sha256,
+    isGridFS: true
+  });
+
+  await saveWithStoredContent([upload.gridfsId], session => fileDoc.save({ session }));
+  await scanStoredFile(fileDoc);
+  await createThumbnailsForUpload(fileDoc);
+
+  return fileDoc;
+}
+
+/**
+ * Public file representation (also used for finished resumable uploads)
+ */
+function serializeFile(file) {
+  return {
+    id: file._id,
+    originalName: file.originalName,
+    mimeType: file.mimeType,
+    detectedMimeType: file.detectedMimeType,
+    size: file.size,
+    sizeFormatted: formatFileSize(file.size),
+    category: file.category,
+    description: file.description,
+    tags: file.tags || [],
+    metadata: (file.metadata || []).map(({ key, type, value }) => ({ key, type, value })),
+    status: file.status,
+    quarantined: Boolean(file.quarantined),
+    scanStatus: file.scan ? file.scan.status : undefined,
+    hasThumbnail: Boolean(file.thumbnails && file.thumbnails.length),
+    version: file.version || 1,
+    expiresAt: file.expiresAt,
+    legalHold: Boolean(file.legalHold && file.legalHold.active),
+    deletedAt: file.deletedAt || undefined,
+    uploadDate: file.uploadDate
+  };
+}
+
+exports.serializeFile = serializeFile;
+
+/**
+ * Public file representation including review details
+ */
+function serializeFileDetails(file) {
+  return {
+    ...serializeFile(file),
+    reviewerNotes: file.reviewerNotes,
+    rejectionReason: file.rejectionReason,
+    reviewedAt: file.reviewedAt,
+    sha256: file.sha256,
+    strippedMetadata: file.strippedMetadata,
+    previousVersions: file.versions ? file.versions.length : 0,
+    legalHoldDetails: file.legalHold,
+    scan: file.scan
+  };
+}
+
 /**
  * Format file size helper
  */
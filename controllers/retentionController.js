@@ -0,0 +1,152 @@
+/**
+ * Retention Controller
+ * Retention policy, purge runs and legal holds
+ */
+
+const { ensureConnection } = require('../config/db');
+const { getRetentionPolicy } = require('../config/retention');
+const { purgeExpiredFiles, purgeTrash } = require('../services/retention');
+const { auditResponse } = require('../services/audit');
+
+/**
+ * Get the retention policy
+ * GET /api/retention/policy
+ */
+exports.getPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      policy: getRetentionPolicy()
+    });
+
+  } catch (error) {
+    console.error('❌ Retention policy error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error reading retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Purge expired files and old trash
+ * POST /api/retention/purge
+ *
+ * Body: { dryRun: true } reports what would be deleted without deleting.
+ */
+exports.purgeExpired = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true' || req.query.dryRun === 'true';
+    const report = await purgeExpiredFiles({ dryRun });
+    const trash = await purgeTrash({ dryRun });
+    const purged = report.purged.length + trash.purged.length;
+
+    console.log(`${dryRun ? '🔍 Retention dry run' : '🗑️ Retention purge'}: ${purged} file(s), ${report.held + trash.held} on hold`);
+
+    res.json({
+      success: report.failed.length === 0 && trash.failed.length === 0,
+      message: dryRun
+        ? `${purged} file(s) would be purged`
+        : `${purged} file(s) purged`,
+      report,
+      trash
+    });
+
+  } catch (error) {
+    console.error('❌ Retention purge error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging expired files',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Place a file under legal hold (blocks deletion and purge)
+ * PUT /api/files/:id/legal-hold
+ */
+exports.setLegalHold = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const file = req.fileDoc;
+    const reason = (req.body.reason || '').trim();
+    auditResponse(req, res, { action: 'file.legal_hold.set', file, details: { reason } });
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A legal hold reason is required'
+      });
+    }
+
+    file.legalHold = {
+      active: true,
+      reason,
+      setBy: req.user._id,
+      setAt: new Date()
+    };
+    await file.save();
+
+    console.log(`⚖️ Legal hold set: ${file.originalName}`);
+
+    res.json({
+      success: true,
+      message: 'Legal hold set',
+      legalHold: file.legalHold,
+      expiresAt: file.expiresAt
+    });
+
+  } catch (error) {
+    console.error('❌ Legal hold error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting legal hold',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Release a legal hold
+ * DELETE /api/files/:id/legal-hold
+ *
+ * A file whose retention period ended while on hold is purged by the next run.
+ */
+exports.releaseLegalHold = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const file = req.fileDoc;
+    auditResponse(req, res, { action: 'file.legal_hold.release', file });
+
+    file.legalHold = {
+      active: false,
+      setBy: req.user._id,
+      setAt: new Date()
+    };
+
+    await file.save();
+
+    console.log(`⚖️ Legal hold released: ${file.originalName}`);
+
+    res.json({
+      success: true,
+      message: 'Legal hold released',
+      legalHold: file.legalHold,
+      expiresAt: file.expiresAt
+    });
+
+  } catch (error) {
+    console.error('❌ Legal hold error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing legal hold',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,393 @@
+/**
+ * Share Link Controller
+ * Issues, lists and revokes signed share links, and serves files to
+ * holders of a valid link without an account
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const { ensureConnection } = require('../config/db');
+const { getDownloadStream } = require('../config/gridfs');
+const { auditResponse } = require('../services/audit');
+const { sendValidationErrors, mongooseValidationErrors } = require('../middleware/validate');
+const {
+  SHARE_LINK_DEFAULT_HOURS,
+  SHARE_LINK_MAX_HOURS,
+  SHARE_LINK_MAX_PASSWORD_ATTEMPTS,
+  signShareToken,
+  verifyShareToken
+} = require('../config/share');
+
+const SHARE_STATE_MESSAGES = {
+  revoked: 'Share link has been revoked',
+  expired: 'Share link has expired',
+  exhausted: 'Share link download limit reached',
+  locked: 'Share link is locked after too many wrong passwords'
+};
+
+/**
+ * Create a share link
+ * POST /api/files/:id/share
+ */
+exports.createShare = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const file = req.fileDoc;
+    const audit = auditResponse(req, res, { action: 'share.create', file });
+    const { password, note } = req.body;
+    const disposition = req.body.disposition || 'attachment';
+    const hours = req.body.expiresInHours !== undefined
+      ? Number(req.body.expiresInHours)
+      : SHARE_LINK_DEFAULT_HOURS;
+    const maxDownloads = req.body.maxDownloads !== undefined && req.body.maxDownloads !== null
+      ? Number(req.body.maxDownloads)
+      : null;
+
+    if (file.quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: 'Quarantined files cannot be shared'
+      });
+    }
+
+    if (!Number.isFinite(hours) || hours <= 0 || hours > SHARE_LINK_MAX_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInHours must be between 0 and ${SHARE_LINK_MAX_HOURS}`
+      });
+    }
+
+    if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxDownloads must be a positive integer'
+      });
+    }
+
+    if (!['inline', 'attachment'].includes(disposition)) {
+      return res.status(400).json({
+        success: false,
+        message: 'disposition must be inline or attachment'
+      });
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || password.length < 6)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const link = new ShareLink({
+      file: file._id,
+      createdBy: req.user._id,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      maxDownloads,
+      disposition,
+      password: password || undefined,
+      note: note || ''
+    });
+
+    await link.save();
+    audit.shareLink = link;
+    audit.details = {
+      expiresAt: link.expiresAt,
+      maxDownloads: link.maxDownloads,
+      passwordProtected: link.passwordProtected
+    };
+
+    console.log(`🔗 Share link created for ${file.originalName} (expires ${link.expiresAt.toISOString()})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      share: serializeShare(link, req)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationErrors(res, mongooseValidationErrors(error));
+    }
+
+    console.error('❌ Create share error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating share link',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List a file's share links
+ * GET /api/files/:id/shares
+ */
+exports.listShares = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const links = await ShareLink.find({ file: req.fileDoc._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: links.length,
+      shares: links.map(link => serializeShare(link, req))
+    });
+
+  } catch (error) {
+    console.error('❌ List shares error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching share links',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke a share link
+ * DELETE /api/files/:id/shares/:shareId
+ */
+exports.revokeShare = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const audit = auditResponse(req, res, { action: 'share.revoke', file: req.fileDoc });
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.shareId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const link = await ShareLink.findOne({ _id: req.params.shareId, file: req.fileDoc._id });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    audit.shareLink = link;
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      link.revokedBy = req.user._id;
+      await link.save();
+      console.log(`🚫 Share link revoked for ${req.fileDoc.originalName}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      share: serializeShare(link, req)
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke share error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking share link',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a file through a share link (no account required)
+ * GET|POST /api/share/:token
+ *
+ * Password-protected links take the password from a POSTed `password`
+ * field or the X-Share-Password header.
+ */
+exports.accessShare = async (req, res) => {
+  try {
+    const token = verifyShareToken(req.params.token);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link is invalid or has expired'
+      });
+    }
+
+    await ensureConnection();
+
+    const audit = auditResponse(req, res, { action: 'share.access', shareLink: token.id });
+    const link = await ShareLink.findById(token.id).select('+password');
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link is invalid or has expired'
+      });
+    }
+
+    const state = link.getState();
+    if (state !== 'active') {
+      return res.status(410).json({
+        success: false,
+        message: SHARE_STATE_MESSAGES[state]
+      });
+    }
+
+    if (link.passwordProtected) {
+      const password = (req.body && req.body.password) || req.get('X-Share-Password');
+
+      if (!password) {
+        // Browsers opening the link get a password form
+        if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+          return res.redirect(`/share.html#${encodeURIComponent(req.params.token)}`);
+        }
+
+        return res.status(401).json({
+          success: false,
+          passwordRequired: true,
+          message: 'This share link requires a password'
+        });
+      }
+
+      // Count the attempt before checking it, so concurrent guesses cannot
+      // get past the limit; a correct password resets the count
+      const attempt = await ShareLink.findOneAndUpdate(
+        { _id: link._id, failedAttempts: { $lt: SHARE_LINK_MAX_PASSWORD_ATTEMPTS } },
+        { $inc: { failedAttempts: 1 } },
+        { new: true }
+      );
+
+      if (!attempt) {
+        return res.status(410).json({
+          success: false,
+          message: SHARE_STATE_MESSAGES.locked
+        });
+      }
+
+      if (!(await link.comparePassword(password))) {
+        return res.status(401).json({
+          success: false,
+          passwordRequired: true,
+          message: 'Incorrect password'
+        });
+      }
+
+      await ShareLink.updateOne({ _id: link._id }, { $set: { failedAttempts: 0 } });
+    }
+
+    const file = await File.findById(link.file);
+    audit.file = file || link.file;
+
+    if (!file || file.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'The shared file no longer exists'
+      });
+    }
+
+    if (file.quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: 'The shared file is quarantined'
+      });
+    }
+
+    // Count the download atomically so concurrent requests cannot exceed the limit
+    const claimed = await ShareLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+        failedAttempts: { $lt: SHARE_LINK_MAX_PASSWORD_ATTEMPTS },
+        $or: [
+          { maxDownloads: null },
+          { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }
+        ]
+      },
+      { $inc: { downloadCount: 1 }, $set: { lastAccessedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      // The link changed since it was checked: report what stopped it
+      const current = await ShareLink.findById(link._id);
+      const reason = current ? current.getState() : 'revoked';
+
+      return res.status(410).json({
+        success: false,
+        message: SHARE_STATE_MESSAGES[reason] || SHARE_STATE_MESSAGES.exhausted
+      });
+    }
+
+    console.log(`🔗 Shared download: ${file.originalName} (${claimed.downloadCount}${claimed.maxDownloads ? `/${claimed.maxDownloads}` : ''})`);
+
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Disposition': `${link.disposition}; filename="${encodeURIComponent(file.originalName)}"`,
+      'Content-Length': file.size,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'no-store',
+      'Referrer-Policy': 'no-referrer'
+    });
+
+    const stream = getDownloadStream(file.gridfsId);
+
+    stream.on('error', (error) => {
+      console.error('❌ Shared stream error:', error.message);
+
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      ['Content-Disposition', 'Content-Length'].forEach(header => res.removeHeader(header));
+      res.status(500).json({
+        success: false,
+        message: 'Error downloading file',
+        error: error.message
+      });
+    });
+
+    res.on('close', () => stream.destroy());
+
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('❌ Share access error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Public share link URL
+ */
+function shareUrl(link, req) {
+  const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/share/${signShareToken(link._id, link.expiresAt)}`;
+}
+
+/**
+ * Share link representation for file managers
+ */
+function serializeShare(link, req) {
+  return {
+    id: link._id,
+    url: shareUrl(link, req),
+    state: link.getState(),
+    expiresAt: link.expiresAt,
+    maxDownloads: link.maxDownloads,
+    downloadCount: link.downloadCount,
+    disposition: link.disposition,
+    passwordProtected: link.passwordProtected,
+    note: link.note,
+    createdBy: link.createdBy,
+    createdAt: link.createdAt,
+    lastAccessedAt: link.lastAccessedAt,
+    revokedAt: link.revokedAt
+  };
+}
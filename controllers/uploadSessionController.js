@@ -0,0 +1,556 @@
+/**
+ * Upload Session Controller
+ * Resumable (tus-style) uploads: create a session, PATCH chunks at offsets,
+ * query the offset with HEAD, and finalize into GridFS once complete
+ */
+
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const UploadChunk = require('../models/UploadChunk');
+const { ensureConnection } = require('../config/db');
+const { uploadStreamToGridFS } = require('../config/gridfs');
+const { createFileKey, unwrapDataKey, sealBuffer, openBuffer } = require('../config/encryption');
+const { sendValidationErrors } = require('../middleware/validate');
+const {
+  MAX_FILE_SIZE,
+  STRIP_METADATA_MAX_SIZE,
+  isAllowedMimeType,
+  invalidTypeError,
+  invalidFileNameReason,
+  imageTooLargeError,
+  shouldStripMetadata
+} = require('../config/fileTypes');
+const { createTypeSniffer } = require('../utils/fileSignature');
+const { createMetadataStripper } = require('../utils/imageMetadata');
+const { scanStoredFile } = require('../services/scanners');
+const { createThumbnailsForUpload } = require('../services/thumbnails');
+const { recordAudit } = require('../services/audit');
+const { saveWithStoredContent } = require('../services/fileStorage');
+const { getQuotaStatus, checkQuota, sendQuotaExceeded } = require('../services/quota');
+const { serializeFile, parseUploadLabels } = require('./fileController');
+
+const SESSION_TTL_MS = (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Content errors no retry can fix: the upload is discarded
+const REJECTED_CONTENT_CODES = ['INVALID_FILE_TYPE', 'IMAGE_TOO_LARGE'];
+
+/**
+ * Create an upload session
+ * POST /api/uploads
+ */
+exports.createUpload = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const { filename, mimeType, category, description } = req.body;
+    const length = parseInt(req.body.size !== undefined ? req.body.size : req.headers['upload-length']);
+
+    if (!filename || !mimeType) {
+      return res.status(400).json({
+        success: false,
+        message: 'filename and mimeType are required'
+      });
+    }
+
+    const nameProblem = invalidFileNameReason(filename);
+    if (nameProblem) {
+      return res.status(400).json({
+        success: false,
+        message: nameProblem
+      });
+    }
+
+    if (!isAllowedMimeType(mimeType)) {
+      return res.status(400).json({
+        success: false,
+        message: invalidTypeError(mimeType).message
+      });
+    }
+
+    if (!Number.isInteger(length) || length <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload length must be a positive integer'
+      });
+    }
+
+    if (length > MAX_FILE_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: `File too large. Maximum size is ${MAX_FILE_SIZE} bytes`
+      });
+    }
+
+    if (category && !File.schema.path('category').enumValues.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category: ${category}`
+      });
+    }
+
+    if (shouldStripMetadata(mimeType, category) && length > STRIP_METADATA_MAX_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: imageTooLargeError().message
+      });
+    }
+
+    const labels = await parseUploadLabels(req);
+    if (labels.errors.length > 0) {
+      return sendValidationErrors(res, labels.errors);
+    }
+
+    // The declared length is reserved against the quota until the upload ends
+    const quota = await getQuotaStatus(req.user);
+    const quotaProblem = checkQuota(quota, { bytes: length, files: 1 });
+    if (quotaProblem) {
+      return sendQuotaExceeded(res, quotaProblem, quota);
+    }
+
+    const session = new UploadSession({
+      owner: req.user._id,
+      filename,
+      mimeType,
+      category: category || 'other',
+      description: description || '',
+      ...labels.values,
+      length,
+      encryption: createFileKey().descriptor,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+
+    await session.save();
+
+    console.log(`📤 Upload session started: ${filename} (${(length / 1024 / 1024).toFixed(2)} MB)`);
+
+    setUploadHeaders(res, session);
+    res.location(`${req.baseUrl}/${session._id}`);
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      upload: serializeSession(session)
+    });
+
+  } catch (error) {
+    console.error('❌ Create upload error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating upload session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the current offset
+ * HEAD /api/uploads/:id
+ */
+exports.getUploadOffset = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const session = await findSession(req);
+
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    setUploadHeaders(res, session);
+    res.status(200).end();
+
+  } catch (error) {
+    console.error('❌ Upload offset error:', error.message);
+    res.status(500).end();
+  }
+};
+
+/**
+ * Get upload session details
+ * GET /api/uploads/:id
+ */
+exports.getUpload = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const session = await findSession(req);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found or expired'
+      });
+    }
+
+    setUploadHeaders(res, session);
+    res.json({
+      success: true,
+      upload: serializeSession(session)
+    });
+
+  } catch (error) {
+    console.error('❌ Get upload error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching upload session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Append a chunk at the current offset
+ * PATCH /api/uploads/:id
+ *
+ * Body is raw bytes (Content-Type: application/offset+octet-stream) and the
+ * Upload-Offset header must equal the session's current offset. The upload
+ * is finalized when the offset reaches the declared length; an empty PATCH at
+ * the final offset retries a failed finalization.
+ */
+exports.appendChunk = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    // Checked on the header directly: req.is() is null for an empty body
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+
+    if (contentType !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const session = await findSession(req);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found or expired'
+      });
+    }
+
+    if (session.status !== 'active') {
+      setUploadHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        message: session.status === 'completed'
+          ? 'Upload already completed'
+          : 'Upload is being finalized'
+      });
+    }
+
+    const offset = parseInt(req.headers['upload-offset']);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    if (offset !== session.offset) {
+      setUploadHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        message: `Upload-Offset mismatch. Expected ${session.offset}`
+      });
+    }
+
+    if (offset + chunk.length > session.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk exceeds declared upload length'
+      });
+    }
+
+    if (chunk.length > 0) {
+      const dataKey = unwrapDataKey(session.encryption);
+
+      try {
+        await UploadChunk.create({
+          session: session._id,
+          offset,
+          length: chunk.length,
+          data: sealBuffer(dataKey, chunk),
+          expiresAt: session.expiresAt
+        });
+      } catch (chunkError) {
+        if (chunkError.code !== 11000) throw chunkError;
+
+        // A chunk already exists at this offset (concurrent or interrupted
+        // PATCH): resync the stored offset and let the client retry from there
+        session.offset = await computeOffset(session._id);
+        await UploadSession.updateOne({ _id: session._id }, { $max: { offset: session.offset } });
+        setUploadHeaders(res, session);
+        return res.status(409).json({
+          success: false,
+          message: `Upload-Offset mismatch. Expected ${session.offset}`
+        });
+      }
+
+      session.offset = offset + chunk.length;
+      await UploadSession.updateOne({ _id: session._id }, { $max: { offset: session.offset } });
+    }
+
+    if (session.offset < session.length) {
+      setUploadHeaders(res, session);
+      return res.status(204).end();
+    }
+
+    let file;
+    try {
+      file = await finalizeSession(session);
+    } catch (finalizeError) {
+      if (!REJECTED_CONTENT_CODES.includes(finalizeError.code)) throw finalizeError;
+
+      const statusCode = finalizeError.code === 'IMAGE_TOO_LARGE' ? 413 : 400;
+      recordAudit(req, {
+        action: 'file.upload',
+        outcome: 'failure',
+        fileName: session.filename,
+        statusCode,
+        details: { uploadSession: session._id, error: finalizeError.message }
+      });
+      return res.status(statusCode).json({
+        success: false,
+        message: finalizeError.message
+      });
+    }
+
+    if (!file) {
+      setUploadHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is being finalized'
+      });
+    }
+
+    // Scan before the file becomes downloadable
+    await scanStoredFile(file);
+    await createThumbnailsForUpload(file);
+    recordAudit(req, {
+      action: 'file.upload',
+      file,
+      statusCode: 201,
+      details: { uploadSession: session._id }
+    });
+
+    setUploadHeaders(res, session);
+    res.status(201).json({
+      success: true,
+      message: file.quarantined
+        ? 'File uploaded but quarantined by the malware scan'
+        : 'File uploaded successfully',
+      upload: serializeSession(session),
+      file: serializeFile(file)
+    });
+
+  } catch (error) {
+    console.error('❌ Upload chunk error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading chunk',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel an upload and discard its chunks
+ * DELETE /api/uploads/:id
+ */
+exports.cancelUpload = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const session = await findSession(req);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found or expired'
+      });
+    }
+
+    if (session.status === 'finalizing') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is being finalized'
+      });
+    }
+
+    await UploadChunk.deleteMany({ session: session._id });
+    await UploadSession.deleteOne({ _id: session._id });
+
+    console.log(`🗑️ Upload session cancelled: ${session.filename}`);
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel upload error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling upload',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stream the session's chunks into GridFS and create the File document.
+ * Returns null if another request is already finalizing this session.
+ */
+async function finalizeSession(session) {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'active', offset: session.length },
+    { status: 'finalizing' },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  try {
+    const dataKey = unwrapDataKey(session.encryption);
+
+    async function* readChunks() {
+      let expectedOffset = 0;
+      const cursor = UploadChunk.find({ session: session._id }).sort({ offset: 1 }).cursor();
+
+      for await (const chunk of cursor) {
+        if (chunk.offset !== expectedOffset) {
+          throw new Error(`Upload is missing data at offset ${expectedOffset}`);
+        }
+        expectedOffset += chunk.length;
+        yield openBuffer(dataKey, chunk.data);
+      }
+
+      if (expectedOffset !== session.length) {
+        throw new Error(`Upload is missing data at offset ${expectedOffset}`);
+      }
+    }
+
+    const sniffer = createTypeSniffer(session.mimeType);
+    const stripper = shouldStripMetadata(session.mimeType, session.category)
+      ? createMetadataStripper(session.mimeType)
+      : null;
+    const gridfsResult = await uploadStreamToGridFS(Readable.from(readChunks()), session.filename, {
+      contentType: session.mimeType,
+      metadata: { category: session.category, owner: session.owner },
+      transforms: stripper ? [sniffer, stripper] : [sniffer],
+      deduplicate: true
+    });
+
+    const file = new File({
+      originalName: session.filename,
+      mimeType: session.mimeType,
+      detectedMimeType: sniffer.detectedMimeType,
+      strippedMetadata: stripper && stripper.metadataReport ? stripper.metadataReport : undefined,
+      size: gridfsResult.length,
+      sha256: gridfsResult.sha256,
+      category: session.category,
+      description: session.description,
+      tags: session.tags,
+      metadata: session.metadata,
+      owner: session.owner,
+      gridfsId: gridfsResult.fileId,
+      isGridFS: true
+    });
+
+    // The record and the completed session are saved together; on failure
+    // the content is released and the session stays resumable
+    await saveWithStoredContent([gridfsResult.fileId], async (transaction) => {
+      await file.save({ session: transaction });
+
+      try {
+        await UploadSession.updateOne(
+          { _id: session._id },
+          { status: 'completed', file: file._id },
+          { session: transaction }
+        );
+      } catch (error) {
+        // Without a transaction the record is already saved
+        if (!transaction) await File.deleteOne({ _id: file._id });
+        throw error;
+      }
+    });
+
+    await UploadChunk.deleteMany({ session: session._id });
+    session.status = 'completed';
+    session.file = file._id;
+
+    console.log(`✅ Upload session finalized: ${session.filename}`);
+    return file;
+
+  } catch (error) {
+    if (REJECTED_CONTENT_CODES.includes(error.code)) {
+      // Content will never pass: discard the upload entirely
+      await UploadChunk.deleteMany({ session: session._id });
+      await UploadSession.deleteOne({ _id: session._id });
+      throw error;
+    }
+
+    // Leave the session resumable so finalization can be retried
+    await UploadSession.updateOne({ _id: session._id }, { status: 'active' });
+    throw error;
+  }
+}
+
+/**
+ * Find an unexpired session owned by the current user
+ */
+function findSession(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return Promise.resolve(null);
+  }
+
+  return UploadSession.findOne({
+    _id: req.params.id,
+    owner: req.user._id,
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+/**
+ * Recompute the contiguous offset from stored chunks
+ */
+async function computeOffset(sessionId) {
+  let offset = 0;
+  const chunks = await UploadChunk.find({ session: sessionId })
+    .select('offset length')
+    .sort({ offset: 1 })
+    .lean();
+
+  for (const chunk of chunks) {
+    if (chunk.offset !== offset) break;
+    offset += chunk.length;
+  }
+
+  return offset;
+}
+
+/**
+ * Upload-* response headers
+ */
+function setUploadHeaders(res, session) {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.length),
+    'Upload-Expires': session.expiresAt.toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+}
+
+/**
+ * Public session representation
+ */
+function serializeSession(session) {
+  return {
+    id: session._id,
+    filename: session.filename,
+    mimeType: session.mimeType,
+    length: session.length,
+    offset: session.offset,
+    status: session.status,
+    fileId: session.file,
+    expiresAt: session.expiresAt
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Usage Controller
+ * Storage used per category and owner, and the caller's quota
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const User = require('../models/User');
+const { ensureConnection } = require('../config/db');
+const { resolveQuotaLimits } = require('../config/quota');
+const { STORED_BYTES, getQuotaStatus, serializeQuota } = require('../services/quota');
+
+const EMPTY_USAGE = { files: 0, bytes: 0, trashedFiles: 0, trashedBytes: 0 };
+
+/**
+ * Totals for one $group key; trashed files still count until purged
+ */
+const usageGroup = (key) => ({
+  _id: key,
+  files: { $sum: 1 },
+  bytes: { $sum: '$bytes' },
+  trashedFiles: { $sum: { $cond: ['$trashed', 1, 0] } },
+  trashedBytes: { $sum: { $cond: ['$trashed', '$bytes', 0] } }
+});
+
+/**
+ * Get storage usage
+ * GET /api/usage
+ *
+ * Sizes count every stored version. Users see their own files; roles that
+ * can read any file see everyone's, broken down by owner, and can narrow
+ * to one owner with ?owner=<userId>. `quota` is the caller's (or that
+ * owner's) quota.
+ */
+exports.getUsage = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const filter = { ...req.accessScope };
+    let quotaUser = req.user;
+
+    if (req.query.owner !== undefined && !filter.owner) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.owner)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid owner ID'
+        });
+      }
+
+      filter.owner = new mongoose.Types.ObjectId(req.query.owner);
+      quotaUser = (await User.findById(filter.owner)) || { _id: filter.owner };
+    }
+
+    const [usage] = await File.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          category: 1,
+          owner: 1,
+          bytes: STORED_BYTES,
+          trashed: { $gt: ['$deletedAt', null] }
+        }
+      },
+      {
+        $facet: {
+          totals: [{ $group: usageGroup(null) }],
+          byCategory: [{ $group: usageGroup('$category') }, { $sort: { bytes: -1, _id: 1 } }],
+          byOwner: [{ $group: usageGroup('$owner') }, { $sort: { bytes: -1, _id: 1 } }]
+        }
+      }
+    ]);
+
+    const owners = await User.find({ _id: { $in: usage.byOwner.map(entry => entry._id) } })
+      .select('name email quota');
+    const ownersById = new Map(owners.map(owner => [String(owner._id), owner]));
+    const quota = await getQuotaStatus(quotaUser);
+
+    const [totals = EMPTY_USAGE] = usage.totals;
+
+    res.json({
+      success: true,
+      quota: serializeQuota(quota),
+      totals: serializeUsage(totals),
+      byCategory: usage.byCategory.map(entry => ({ category: entry._id, ...serializeUsage(entry) })),
+      byOwner: usage.byOwner.map((entry) => {
+        const owner = ownersById.get(String(entry._id));
+
+        return {
+          owner: owner
+            ? { id: owner._id, name: owner.name, email: owner.email }
+            : { id: entry._id },
+          ...serializeUsage(entry),
+          quota: resolveQuotaLimits(owner)
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('❌ Usage error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching storage usage',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Usage figures of one group
+ */
+function serializeUsage(entry) {
+  return {
+    files: entry.files,
+    bytes: entry.bytes,
+    trashedFiles: entry.trashedFiles,
+    trashedBytes: entry.trashedBytes
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * User Controller
+ * Admin-only account management
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ensureConnection } = require('../config/db');
+const { ROLES } = require('../config/roles');
+
+/**
+ * List all users
+ * GET /api/users
+ */
+exports.getAllUsers = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const users = await User.find({}).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      users: users.map(user => user.toPublicJSON())
+    });
+
+  } catch (error) {
+    console.error('❌ Get users error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change a user's role
+ * PATCH /api/users/:id/role
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`👤 Role changed: ${user.email} → ${role}`);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('❌ Update role error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set a user's storage quota
+ * PATCH /api/users/:id/quota
+ *
+ * Body: { maxBytes, maxFiles }. null returns a limit to the configured
+ * default and 0 removes it; omitted limits are left unchanged.
+ */
+exports.updateUserQuota = async (req, res) => {
+  try {
+    await ensureConnection();
+
+    const update = {};
+
+    for (const field of ['maxBytes', 'maxFiles']) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative integer or null`
+        });
+      }
+
+      update[`quota.${field}`] = value;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide maxBytes and/or maxFiles'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`📦 Quota changed: ${user.email} (${JSON.stringify(user.toPublicJSON().quota)})`);
+
+    res.json({
+      success: true,
+      message: 'Quota updated successfully',
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('❌ Update quota error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating quota',
+      error: error.message
+    });
+  }
+};
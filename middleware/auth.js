@@ -0,0 +1,56 @@
+/**
+ * Authentication Middleware
+ * Resolves the Bearer token in the Authorization header to a user
+ */
+
+const User = require('../models/User');
+const { ensureConnection } = require('../config/db');
+const { verifyToken } = require('../config/auth');
+
+/**
+ * Require a valid session token
+ */
+const protect = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError'
+        ? 'Session expired. Please log in again.'
+        : 'Invalid session token'
+    });
+  }
+
+  try {
+    await ensureConnection();
+
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    req.user = user;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { protect };
@@ -0,0 +1,118 @@
+/**
+ * Authorization Middleware
+ * Enforces role permissions in front of the file routes
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const { ensureConnection } = require('../config/db');
+const { hasPermission, getPermissionScope } = require('../config/roles');
+const { recordAudit } = require('../services/audit');
+
+const ACTION_LABELS = {
+  'files:create': 'upload files',
+  'files:read': 'view files',
+  'files:update': 'update this file',
+  'files:review': 'review this file',
+  'files:scan': 'scan this file',
+  'files:share': 'share this file',
+  'files:hold': 'place a legal hold on this file',
+  'files:delete': 'delete this file',
+  'retention:manage': 'manage retention',
+  'audit:read': 'view the audit log',
+  'users:manage': 'manage users'
+};
+
+/**
+ * Send a consistent 403 response
+ */
+const deny = (res, action) => {
+  return res.status(403).json({
+    success: false,
+    message: `You do not have permission to ${ACTION_LABELS[action] || action}`
+  });
+};
+
+/**
+ * Record an attempt to act on a file without permission
+ */
+const auditDenied = (req, file, action, statusCode) => {
+  recordAudit(req, {
+    action: 'access.denied',
+    outcome: 'denied',
+    file,
+    statusCode,
+    details: { permission: action, method: req.method, path: req.originalUrl }
+  });
+};
+
+/**
+ * Require a permission for the current user.
+ *
+ * On routes with an `:id` param the file is loaded and checked against the
+ * user's ownership, then exposed as `req.fileDoc`. Elsewhere the allowed
+ * query scope is exposed as `req.accessScope` for listing controllers.
+ *
+ * Files in the trash are only found by routes declared with
+ * `{ trashed: true }` (restore, permanent delete), and only those.
+ */
+const authorize = (action, { trashed = false } = {}) => async (req, res, next) => {
+  const role = req.user.role;
+  const scope = getPermissionScope(role, action);
+
+  if (!req.params.id) {
+    if (!scope) return deny(res, action);
+
+    req.accessScope = scope === 'any' ? {} : { owner: req.user._id };
+    return next();
+  }
+
+  try {
+    await ensureConnection();
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const file = await File.findById(req.params.id);
+    const isOwner = file && file.owner && file.owner.equals(req.user._id);
+    const readScope = getPermissionScope(role, 'files:read');
+
+    const visible = file && (isOwner || readScope === 'any');
+
+    // Files the user cannot see at all are reported as missing
+    if (!visible || Boolean(file.deletedAt) !== trashed) {
+      if (file && !visible) auditDenied(req, file, action, 404);
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (scope !== 'any' && !(scope === 'own' && isOwner)) {
+      auditDenied(req, file, action, 403);
+      return deny(res, action);
+    }
+
+    req.fileDoc = file;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require an unscoped permission (e.g. 'users:manage')
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.role, permission)) {
+    return deny(res, permission);
+  }
+  next();
+};
+
+module.exports = { authorize, requirePermission };
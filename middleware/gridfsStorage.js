@@ -0,0 +1,92 @@
+/**
+ * Multer GridFS Storage Engine
+ * Pipes each incoming file part straight into GridFS instead of buffering it
+ */
+
+const { ensureConnection } = require('../config/db');
+const { uploadStreamToGridFS, releaseGridFSFile } = require('../config/gridfs');
+const { shouldStripMetadata, invalidFileNameReason, invalidFileNameError } = require('../config/fileTypes');
+const { createTypeSniffer } = require('../utils/fileSignature');
+const { createMetadataStripper } = require('../utils/imageMetadata');
+const { claimQuota } = require('../services/quota');
+
+/**
+ * Store one incoming file stream in GridFS.
+ *
+ * Resolves with `gridfsId`, `size`, `sha256`, the content-sniffed
+ * `detectedMimeType` and `strippedMetadata`. Content that does not match
+ * the declared MIME type is rejected before it is kept, and content
+ * already in GridFS is shared rather than stored again. Photos have their
+ * EXIF/XMP/IPTC metadata removed (per category) before they are stored.
+ * Form fields sent before the file part are available in `req.body` and
+ * recorded in the GridFS metadata. Files whose names fail
+ * invalidFileNameReason are refused before anything is stored. New versions of an existing file use
+ * that file's category. When `req.quota` is set (see enforceQuota), the
+ * upload is refused or cut off once it would exceed the owner's quota.
+ */
+const storeUploadStream = (req, { stream, originalname, mimetype }) => {
+  if (invalidFileNameReason(originalname)) {
+    return Promise.reject(invalidFileNameError(originalname));
+  }
+
+  const category = req.fileDoc ? req.fileDoc.category : req.body.category;
+  const sniffer = createTypeSniffer(mimetype);
+  const stripper = shouldStripMetadata(mimetype, category)
+    ? createMetadataStripper(mimetype)
+    : null;
+
+  let quotaLimiter = null;
+  try {
+    quotaLimiter = req.quota ? claimQuota(req) : null;
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  // The quota counts incoming bytes, so an oversized photo is cut off
+  // before the stripper has buffered and re-encoded all of it
+  const transforms = [sniffer, quotaLimiter, stripper].filter(Boolean);
+
+  return ensureConnection()
+    .then(() => uploadStreamToGridFS(stream, originalname, {
+      contentType: mimetype,
+      metadata: {
+        category,
+        owner: req.user && req.user._id
+      },
+      transforms,
+      deduplicate: true
+    }))
+    .then(result => ({
+      gridfsId: result.fileId,
+      size: result.length,
+      sha256: result.sha256,
+      detectedMimeType: sniffer.detectedMimeType,
+      strippedMetadata: stripper ? stripper.metadataReport : null
+    }));
+};
+
+/**
+ * Create a multer storage engine backed by GridFS (see storeUploadStream).
+ * Stored files expose the stored fields on `req.file` / `req.files`.
+ */
+const createGridFSStorage = () => ({
+  _handleFile(req, file, cb) {
+    storeUploadStream(req, file)
+      .then(stored => cb(null, stored))
+      .catch((error) => {
+        // Drain the part so busboy can continue with the rest of the request
+        file.stream.resume();
+        cb(error);
+      });
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.gridfsId) return cb(null);
+
+    releaseGridFSFile(file.gridfsId)
+      .then(() => cb(null))
+      .catch(cb);
+  }
+});
+
+module.exports = { storeUploadStream, createGridFSStorage };
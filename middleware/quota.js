@@ -0,0 +1,49 @@
+/**
+ * Quota Middleware
+ * Refuses uploads that would take the owner over their storage quota
+ * before any content is written
+ */
+
+const User = require('../models/User');
+const { ensureConnection } = require('../config/db');
+const { getQuotaStatus, checkQuota, sendQuotaExceeded } = require('../services/quota');
+
+/**
+ * Check the owner's quota in front of an upload route.
+ *
+ * The owner is the current user, or the owner of `req.fileDoc` for new
+ * versions (which add bytes but no file: `{ addsFiles: false }`). The
+ * request size is checked up front unless `{ checkBodySize: false }`
+ * (e.g. ZIP imports, whose contents are checked once the archive is
+ * read). The quota is exposed as `req.quota` so the storage engine can
+ * stop any stream that would go over it.
+ */
+const enforceQuota = ({ addsFiles = true, checkBodySize = true } = {}) => async (req, res, next) => {
+  try {
+    await ensureConnection();
+
+    const owner = req.fileDoc && !req.fileDoc.owner.equals(req.user._id)
+      ? (await User.findById(req.fileDoc.owner)) || { _id: req.fileDoc.owner }
+      : req.user;
+
+    const quota = await getQuotaStatus(owner);
+    quota.addsFiles = addsFiles;
+
+    const problem = checkQuota(quota, {
+      bytes: checkBodySize ? parseInt(req.headers['content-length'], 10) || 0 : 0,
+      files: addsFiles ? 1 : 0
+    });
+
+    if (problem) {
+      return sendQuotaExceeded(res, problem, quota);
+    }
+
+    req.quota = quota;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { enforceQuota };
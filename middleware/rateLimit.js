@@ -0,0 +1,69 @@
+/**
+ * Rate Limit Middleware
+ * Throttles uploads, downloads and deletes per client IP and per user
+ */
+
+const { RATE_LIMIT_WINDOW_MINUTES, RATE_LIMITS, clientIp, isAllowlisted } = require('../config/rateLimit');
+const { getRateLimitStore } = require('../services/rateLimitStore');
+
+const GROUP_LABELS = {
+  uploads: 'uploads',
+  downloads: 'downloads',
+  deletes: 'delete requests'
+};
+
+/**
+ * Limit a route group ('uploads', 'downloads' or 'deletes') to its
+ * RATE_LIMITS budget per window.
+ *
+ * Requests are counted against the client IP and, once authenticated,
+ * the user as well; whichever is used up first blocks with 429. Responses
+ * carry RateLimit-Limit/-Remaining/-Reset/-Policy headers, and
+ * Retry-After when blocked. Allowlisted addresses and users are not
+ * counted. If the counter store is unavailable the request is let through.
+ */
+const rateLimit = (group) => {
+  const limit = RATE_LIMITS[group];
+  const windowMs = RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+
+  return async (req, res, next) => {
+    if (!limit || isAllowlisted(req)) return next();
+
+    let counter;
+    try {
+      const store = getRateLimitStore();
+      const keys = [`${group}:ip:${clientIp(req)}`];
+      if (req.user) keys.push(`${group}:user:${req.user._id}`);
+
+      const counters = await Promise.all(keys.map(key => store.increment(key, windowMs)));
+      counter = counters.reduce((tightest, current) => (current.count > tightest.count ? current : tightest));
+    } catch (error) {
+      console.error('❌ Rate limit store error:', error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Policy': `${limit};w=${Math.round(windowMs / 1000)}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - counter.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (counter.count > limit) {
+      console.warn(`⚠️ Rate limit reached for ${group}: ${req.user ? req.user.email : clientIp(req)}`);
+
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many ${GROUP_LABELS[group]}. Try again in ${resetSeconds} seconds.`,
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
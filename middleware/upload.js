@@ -1,35 +1,26 @@
 /**
  * Multer Upload Middleware
- * Uses memory storage for Vercel compatibility
+ * Streams files directly into GridFS (no filesystem or memory buffering)
  */
 
 const multer = require('multer');
+const { createGridFSStorage } = require('./gridfsStorage');
+const { MAX_FILE_SIZE, isAllowedMimeType, invalidTypeError } = require('../config/fileTypes');
+const { ZIP_MIME_TYPES } = require('../config/archive');
 
-// Memory storage (required for serverless)
-const storage = multer.memoryStorage();
+// GridFS streaming storage (serverless compatible, bounded memory)
+const storage = createGridFSStorage();
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  // Allowed MIME types
-  const allowedTypes = [
-    'image/jpeg',
-    'image/jpg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'text/plain',
-    'text/csv'
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (isAllowedMimeType(file.mimetype)) {
     cb(null, true);
+  } else if (ZIP_MIME_TYPES.includes(file.mimetype)) {
+    const error = invalidTypeError(file.mimetype);
+    error.message = `Invalid file type: ${file.mimetype}. Send ZIP archives to /api/files/import to upload the files inside.`;
+    cb(error, false);
   } else {
-    cb(new Error(`Invalid file type: ${file.mimetype}. Allowed: images, PDF, Word, Excel, text files.`), false);
+    cb(invalidTypeError(file.mimetype), false);
   }
 };
 
@@ -38,7 +29,7 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024, // 100MB
+    fileSize: MAX_FILE_SIZE,
     files: 10 // Max 10 files at once
   }
 });
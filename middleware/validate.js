@@ -0,0 +1,153 @@
+/**
+ * Request Validation Middleware
+ * express-validator rule sets and a consistent 400 response for failures
+ */
+
+const { body, validationResult } = require('express-validator');
+const { FILE_CATEGORIES, invalidFileNameReason } = require('../config/fileTypes');
+const { STATUSES } = require('../config/verification');
+const { normalizeTags, normalizeCustomFields } = require('../utils/customFields');
+
+// Fields PATCH /api/files/:id may change
+const UPDATABLE_FILE_FIELDS = ['originalName', 'category', 'description', 'tags', 'metadata'];
+
+/**
+ * Field-level error list in the shape every endpoint returns:
+ * { success: false, message, errors: [{ field, message }] }
+ */
+const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
+/**
+ * Run a rule set, then reject the request if any rule failed.
+ * Only the first error per field is reported.
+ */
+const validate = (rules) => [
+  ...rules,
+  (req, res, next) => {
+    const result = validationResult(req);
+    if (result.isEmpty()) return next();
+
+    sendValidationErrors(res, result.array({ onlyFirstError: true }).map(error => ({
+      field: (error.type === 'field' && error.path) || '_body',
+      message: error.msg
+    })));
+  }
+];
+
+/**
+ * Convert a Mongoose ValidationError to the same field-level format
+ */
+const mongooseValidationErrors = (error) => {
+  return Object.values(error.errors).map(fieldError => ({
+    field: fieldError.path,
+    message: fieldError.message
+  }));
+};
+
+const registerRules = [
+  body('name')
+    .optional()
+    .isString().withMessage('Name must be a string'),
+
+  body('email')
+    .exists({ values: 'falsy' }).withMessage('Email is required').bail()
+    .isString().withMessage('Email must be a string'),
+
+  body('password')
+    .exists({ values: 'falsy' }).withMessage('Password is required').bail()
+    .isString().withMessage('Password must be a string')
+];
+
+const loginRules = [
+  body('email')
+    .exists({ values: 'falsy' }).withMessage('Email is required').bail()
+    .isString().withMessage('Email must be a string'),
+
+  body('password')
+    .exists({ values: 'falsy' }).withMessage('Password is required').bail()
+    .isString().withMessage('Password must be a string')
+];
+
+const fileUpdateRules = [
+  body()
+    .custom((value) => {
+      const fields = Object.keys(value || {});
+      const unknown = fields.filter(field => !UPDATABLE_FILE_FIELDS.includes(field));
+
+      if (unknown.length > 0) {
+        throw new Error(`Cannot update ${unknown.join(', ')}. Allowed fields: ${UPDATABLE_FILE_FIELDS.join(', ')}`);
+      }
+      if (fields.length === 0) {
+        throw new Error(`Provide at least one of: ${UPDATABLE_FILE_FIELDS.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('originalName')
+    .optional()
+    .custom((name) => {
+      const reason = invalidFileNameReason(name);
+      if (reason) throw new Error(reason);
+      return true;
+    }).bail()
+    .trim(),
+
+  body('category')
+    .optional()
+    .isIn(FILE_CATEGORIES).withMessage(`Category must be one of: ${FILE_CATEGORIES.join(', ')}`),
+
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string').bail()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+
+  body('tags')
+    .optional()
+    .custom(tags => normalizeTags(tags)).bail()
+    .customSanitizer(normalizeTags),
+
+  body('metadata')
+    .optional()
+    .custom(fields => normalizeCustomFields(fields)).bail()
+    .customSanitizer(normalizeCustomFields)
+];
+
+const reviewRules = [
+  body('status')
+    .exists({ values: 'falsy' }).withMessage('Status is required').bail()
+    .isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+
+  body('note')
+    .optional()
+    .isString().withMessage('Note must be a string').bail()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Note cannot exceed 2000 characters'),
+
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string').bail()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+
+  body('reason')
+    .if(body('status').equals('rejected'))
+    .exists({ values: 'falsy' }).withMessage('A rejection reason is required')
+];
+
+module.exports = {
+  UPDATABLE_FILE_FIELDS,
+  validate,
+  sendValidationErrors,
+  mongooseValidationErrors,
+  registerRules,
+  loginRules,
+  fileUpdateRules,
+  reviewRules
+};
@@ -0,0 +1,35 @@
+/**
+ * ZIP Import Upload Middleware
+ * Saves an uploaded ZIP to a temporary file: its entry list sits at the end
+ * of the archive, so it has to be read with random access. Entries are
+ * then streamed into GridFS one at a time.
+ */
+
+const os = require('os');
+const multer = require('multer');
+const { ZIP_IMPORT_MAX_SIZE, ZIP_MIME_TYPES } = require('../config/archive');
+
+// Some browsers send ZIPs as application/octet-stream
+const zipFilter = (req, file, cb) => {
+  const isZip = ZIP_MIME_TYPES.includes(file.mimetype)
+    || (file.mimetype === 'application/octet-stream' && /\.zip$/i.test(file.originalname));
+
+  if (isZip) {
+    cb(null, true);
+  } else {
+    const error = new Error(`Invalid file type: ${file.mimetype}. Upload a ZIP archive.`);
+    error.code = 'INVALID_FILE_TYPE';
+    cb(error, false);
+  }
+};
+
+const zipUpload = multer({
+  dest: os.tmpdir(),
+  fileFilter: zipFilter,
+  limits: {
+    fileSize: ZIP_IMPORT_MAX_SIZE,
+    files: 1
+  }
+});
+
+module.exports = zipUpload;
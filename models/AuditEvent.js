@@ -0,0 +1,124 @@
+/**
+ * Audit Event Model - MongoDB Schema
+ * Append-only record of file access and changes. Each entry carries the
+ * hash of the previous one, so edits or deletions break the chain.
+ */
+
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_OUTCOMES } = require('../config/audit');
+
+const auditEventSchema = new mongoose.Schema({
+  // Position in the hash chain (1, 2, 3, ...)
+  seq: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: AUDIT_OUTCOMES,
+    required: true
+  },
+  // Absent for system jobs and share link recipients
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  // Kept so entries stay readable after the file is deleted
+  fileName: {
+    type: String,
+    default: null
+  },
+  fileOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  shareLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false,
+  minimize: false
+});
+
+auditEventSchema.index({ seq: 1 }, { unique: true });
+auditEventSchema.index({ actor: 1, seq: -1 });
+auditEventSchema.index({ file: 1, seq: -1 });
+auditEventSchema.index({ action: 1, seq: -1 });
+auditEventSchema.index({ timestamp: -1 });
+
+/**
+ * Entries are never changed or removed through the model
+ */
+const rejectChange = function (next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+].forEach((operation) => {
+  auditEventSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -4,6 +4,115 @@
  */
 
 const mongoose = require('mongoose');
+const { STATUSES, DEFAULT_STATUS, canTransition } = require('../config/verification');
+const { computeExpiresAt } = require('../config/retention');
+const { FILE_CATEGORIES, CUSTOM_FIELD_TYPES } = require('../config/fileTypes');
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters'],
+    default: ''
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const thumbnailSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    required: true
+  },
+  gridfsId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  length: Number,
+  contentType: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Owner-defined key/value field; `value` holds a string, number, boolean or date
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+// Content that was replaced by a newer version of the file
+const versionSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  gridfsId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  detectedMimeType: String,
+  size: Number,
+  sha256: String,
+  strippedMetadata: {
+    removed: [String],
+    orientation: Number
+  },
+  scan: {
+    status: String,
+    scanner: String,
+    signatures: [String],
+    scannedAt: Date
+  },
+  quarantined: Boolean,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadDate: Date,
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const fileSchema = new mongoose.Schema({
   originalName: {
@@ -16,13 +125,23 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: [true, 'MIME type is required']
   },
+  // Type identified from the file's leading bytes at upload time
+  detectedMimeType: {
+    type: String
+  },
+  // Photo metadata removed at upload time (e.g. exif, gps, xmp) and the
+  // EXIF orientation that was applied to the pixels
+  strippedMetadata: {
+    removed: [String],
+    orientation: Number
+  },
   size: {
     type: Number,
     required: [true, 'File size is required']
   },
   category: {
     type: String,
-    enum: ['id_front', 'id_back', 'passport', 'drivers_license', 'utility_bill', 'bank_statement', 'other'],
+    enum: FILE_CATEGORIES,
     default: 'other'
   },
   description: {
@@ -31,6 +150,21 @@ const fileSchema = new mongoose.Schema({
     maxlength: [1000, 'Description cannot exceed 1000 characters'],
     default: ''
   },
+  // Lower-case labels set by the owner
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Typed key/value fields such as customer ID or country
+  metadata: {
+    type: [customFieldSchema],
+    default: []
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'File owner is required']
+  },
   gridfsId: {
     type: mongoose.Schema.Types.ObjectId,
     required: true
@@ -39,9 +173,106 @@ const fileSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // SHA-256 of the plaintext content, used for deduplication and verification
+  sha256: {
+    type: String,
+    match: [/^[a-f0-9]{64}$/, 'Invalid SHA-256 digest']
+  },
   uploadDate: {
     type: Date,
     default: Date.now
+  },
+  // Who uploaded the current version (the owner when not set)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Current version number; earlier versions are kept in `versions`
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: {
+    type: [versionSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: DEFAULT_STATUS
+  },
+  reviewerNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Reviewer notes cannot exceed 2000 characters'],
+    default: ''
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters'],
+    default: ''
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: () => [{ from: null, to: DEFAULT_STATUS }]
+  },
+  scan: {
+    status: {
+      type: String,
+      enum: ['pending', 'clean', 'infected', 'error', 'skipped']
+    },
+    scanner: String,
+    signatures: [String],
+    error: String,
+    scannedAt: Date
+  },
+  // Quarantined files are never served
+  quarantined: {
+    type: Boolean,
+    default: false
+  },
+  // Preview images stored as separate GridFS objects
+  thumbnails: {
+    type: [thumbnailSchema],
+    default: []
+  },
+  // Retention: purged after this date unless under legal hold (null = kept)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Legal hold reason cannot exceed 500 characters']
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    setAt: Date
+  },
+  // Soft delete: set while the file is in the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -49,7 +280,121 @@ const fileSchema = new mongoose.Schema({
 
 // Index for faster queries
 fileSchema.index({ category: 1 });
+fileSchema.index({ tags: 1 });
+fileSchema.index({ 'metadata.key': 1, 'metadata.value': 1 });
 fileSchema.index({ uploadDate: -1 });
 fileSchema.index({ gridfsId: 1 });
+fileSchema.index({ sha256: 1 });
+fileSchema.index({ owner: 1, uploadDate: -1 });
+fileSchema.index({ status: 1, uploadDate: -1 });
+fileSchema.index({ quarantined: 1 });
+fileSchema.index({ expiresAt: 1 });
+fileSchema.index({ deletedAt: 1 });
+fileSchema.index({ size: -1, _id: -1 });
+fileSchema.index({ originalName: 1, _id: 1 });
+// Full-text search over names and descriptions for the listing API
+fileSchema.index(
+  { originalName: 'text', description: 'text' },
+  { name: 'file_text_search', weights: { originalName: 5, description: 1 } }
+);
+
+// New uploads stay quarantined until a scan reports them clean
+fileSchema.pre('validate', function (next) {
+  if (this.isNew && !this.scan.status) {
+    this.scan.status = 'pending';
+    this.quarantined = true;
+  }
+  next();
+});
+
+// Retention runs from the current content's upload, per the category's
+// policy, and is recomputed when the category or the content changes
+fileSchema.pre('validate', function (next) {
+  const recompute = this.isNew
+    ? !this.expiresAt
+    : this.isModified('category') || this.isModified('uploadDate');
+
+  if (recompute) {
+    this.expiresAt = computeExpiresAt(this.category, this.uploadDate);
+  }
+  next();
+});
+
+/**
+ * Move the document to a new verification status and record the change.
+ * Throws if the transition is not allowed from the current status.
+ */
+fileSchema.methods.transitionTo = function (status, { actor, note = '', reason = '' } = {}) {
+  if (!canTransition(this.status, status)) {
+    const error = new Error(`Cannot change status from ${this.status} to ${status}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: actor,
+    note,
+    reason
+  });
+
+  this.status = status;
+  this.reviewedBy = actor;
+  this.reviewedAt = new Date();
+  if (note) this.reviewerNotes = note;
+  this.rejectionReason = status === 'rejected' ? reason : '';
+
+  return this;
+};
+
+/**
+ * Make new content the current version, keeping the current one in
+ * `versions`. The new content starts quarantined and without thumbnails
+ * until it is scanned, and a reviewed document goes back to review.
+ */
+fileSchema.methods.addVersion = function (content, uploader) {
+  this.versions.push({
+    number: this.version,
+    gridfsId: this.gridfsId,
+    originalName: this.originalName,
+    mimeType: this.mimeType,
+    detectedMimeType: this.detectedMimeType,
+    size: this.size,
+    sha256: this.sha256,
+    strippedMetadata: this.strippedMetadata,
+    scan: this.scan,
+    quarantined: this.quarantined,
+    uploadedBy: this.uploadedBy || this.owner,
+    uploadDate: this.uploadDate
+  });
+
+  this.version += 1;
+  this.gridfsId = content.gridfsId;
+  this.originalName = content.originalName;
+  this.mimeType = content.mimeType;
+  this.detectedMimeType = content.detectedMimeType;
+  this.size = content.size;
+  this.sha256 = content.sha256;
+  this.strippedMetadata = content.strippedMetadata || undefined;
+  this.uploadedBy = uploader;
+  this.uploadDate = new Date();
+  this.thumbnails = [];
+  this.scan = { status: 'pending' };
+  this.quarantined = true;
+
+  if (this.status === 'approved' || this.status === 'rejected') {
+    this.statusHistory.push({
+      from: this.status,
+      to: 'under_review',
+      changedBy: uploader,
+      note: `Version ${this.version} uploaded`
+    });
+    this.status = 'under_review';
+    this.rejectionReason = '';
+  }
+
+  return this;
+};
 
 module.exports = mongoose.model('File', fileSchema);
@@ -0,0 +1,29 @@
+/**
+ * Rate Limit Counter Model - MongoDB Schema
+ * Requests counted for one key (route group + client IP or user) in one
+ * window, shared by every server instance
+ */
+
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  // "<group>:<ip|user>:<id>:<window start>"
+  _id: {
+    type: String
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Counters are removed once their window is over
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
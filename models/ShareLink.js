@@ -0,0 +1,107 @@
+/**
+ * Share Link Model - MongoDB Schema
+ * A time-limited public link to download a single file
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { SHARE_LINK_MAX_PASSWORD_ATTEMPTS } = require('../config/share');
+
+const shareLinkSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // null means unlimited
+  maxDownloads: {
+    type: Number,
+    min: [1, 'Max downloads must be at least 1'],
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  disposition: {
+    type: String,
+    enum: ['inline', 'attachment'],
+    default: 'attachment'
+  },
+  password: {
+    type: String,
+    select: false
+  },
+  passwordProtected: {
+    type: Boolean,
+    default: false
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  lastAccessedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ file: 1, createdAt: -1 });
+
+// Hash the link password whenever it is set
+shareLinkSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    if (this.password) {
+      this.password = await bcrypt.hash(this.password, 12);
+    }
+    this.passwordProtected = Boolean(this.password);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compare a candidate password with the stored hash
+ */
+shareLinkSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(String(candidate || ''), this.password || '');
+};
+
+/**
+ * Current state of the link: active, expired, exhausted, locked or revoked
+ */
+shareLinkSchema.methods.getState = function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.failedAttempts >= SHARE_LINK_MAX_PASSWORD_ATTEMPTS) return 'locked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return 'exhausted';
+  return 'active';
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,37 @@
+/**
+ * Upload Chunk Model - MongoDB Schema
+ * Encrypted partial data for a resumable upload session
+ */
+
+const mongoose = require('mongoose');
+
+const uploadChunkSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadSession',
+    required: true
+  },
+  offset: {
+    type: Number,
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// One chunk per offset: a retried PATCH at the same offset is rejected
+uploadChunkSchema.index({ session: 1, offset: 1 }, { unique: true });
+// Chunks of abandoned sessions expire with the session
+uploadChunkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UploadChunk', uploadChunkSchema);
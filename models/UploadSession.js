@@ -0,0 +1,79 @@
+/**
+ * Upload Session Model - MongoDB Schema
+ * Tracks a resumable upload until it is finalized into GridFS
+ */
+
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [500, 'File name cannot exceed 500 characters']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  category: {
+    type: String,
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  // Labels copied onto the file when the upload is finalized, already
+  // normalised when the session was created
+  tags: {
+    type: [String],
+    default: []
+  },
+  metadata: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  length: {
+    type: Number,
+    required: [true, 'Upload length is required'],
+    min: [0, 'Upload length cannot be negative']
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'finalizing', 'completed'],
+    default: 'active'
+  },
+  // Wrapped data key used to encrypt the partial chunks
+  encryption: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes sessions once they expire
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+uploadSessionSchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
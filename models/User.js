@@ -0,0 +1,94 @@
+/**
+ * User Model - MongoDB Schema
+ * Stores account credentials (bcrypt-hashed passwords)
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+
+const SALT_ROUNDS = 12;
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+    default: ''
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE
+  },
+  lastLogin: {
+    type: Date
+  },
+  // Storage limits for this user; null uses the configured default, 0 is unlimited
+  quota: {
+    maxBytes: {
+      type: Number,
+      min: [0, 'Quota cannot be negative'],
+      default: null
+    },
+    maxFiles: {
+      type: Number,
+      min: [0, 'Quota cannot be negative'],
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Hash password before saving
+userSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compare a plaintext password against the stored hash
+ */
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Public representation (never includes the password hash)
+ */
+userSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    quota: {
+      maxBytes: this.quota ? this.quota.maxBytes : null,
+      maxFiles: this.quota ? this.quota.maxFiles : null
+    },
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,19 @@
+/**
+ * Audit Log Routes (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const {
+  listAuditEvents,
+  verifyAuditLog
+} = require('../controllers/auditController');
+
+router.use(protect, requirePermission('audit:read'));
+
+router.get('/', listAuditEvents);
+router.get('/verify', verifyAuditLog);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+/**
+ * Auth Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validate, registerRules, loginRules } = require('../middleware/validate');
+const {
+  register,
+  login,
+  getMe
+} = require('../controllers/authController');
+
+router.post('/register', validate(registerRules), register);
+router.post('/login', validate(loginRules), login);
+router.get('/me', protect, getMe);
+
+module.exports = router;
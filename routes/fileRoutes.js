@@ -5,29 +5,86 @@
 const express = require('express');
 const router = express.Router();
 const upload = require('../middleware/upload');
+const zipUpload = require('../middleware/zipUpload');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { enforceQuota } = require('../middleware/quota');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate, fileUpdateRules, reviewRules } = require('../middleware/validate');
 const {
   uploadFile,
   uploadMultipleFiles,
+  importZip,
   getAllFiles,
   getFileById,
   downloadFile,
   viewFile,
+  getThumbnail,
   deleteFile,
-  getFilesByCategory
+  updateFile,
+  uploadVersion,
+  listVersions,
+  getTrash,
+  restoreFile,
+  deleteFilePermanently,
+  getFilesByCategory,
+  reviewFile,
+  getStatusHistory,
+  rescanFile,
+  verifyFile
 } = require('../controllers/fileController');
+const { createShare, listShares, revokeShare } = require('../controllers/shareController');
+const { createArchive } = require('../controllers/archiveController');
+const { setLegalHold, releaseLegalHold } = require('../controllers/retentionController');
+
+// All file routes require an authenticated user
+router.use(protect);
 
 // Upload routes
-router.post('/upload', upload.single('file'), uploadFile);
-router.post('/upload-multiple', upload.array('files', 10), uploadMultipleFiles);
+router.post('/upload', rateLimit('uploads'), authorize('files:create'), enforceQuota(), upload.single('file'), uploadFile);
+router.post('/upload-multiple', rateLimit('uploads'), authorize('files:create'), enforceQuota(), upload.array('files', 10), uploadMultipleFiles);
+router.post('/import', rateLimit('uploads'), authorize('files:create'), enforceQuota({ checkBodySize: false }), zipUpload.single('archive'), importZip);
+
+// Bulk download routes
+router.post('/archive', rateLimit('downloads'), authorize('files:read'), createArchive);
 
 // Get routes
-router.get('/', getAllFiles);
-router.get('/category/:category', getFilesByCategory);
-router.get('/:id', getFileById);
-router.get('/:id/download', downloadFile);
-router.get('/:id/view', viewFile);
-
-// Delete route
-router.delete('/:id', deleteFile);
+router.get('/', authorize('files:read'), getAllFiles);
+router.get('/category/:category', authorize('files:read'), getFilesByCategory);
+router.get('/trash', authorize('files:delete'), getTrash);
+router.get('/:id', authorize('files:read'), getFileById);
+router.get('/:id/download', rateLimit('downloads'), authorize('files:read'), downloadFile);
+router.get('/:id/view', rateLimit('downloads'), authorize('files:read'), viewFile);
+router.get('/:id/thumbnail', authorize('files:read'), getThumbnail);
+router.get('/:id/history', authorize('files:read'), getStatusHistory);
+router.get('/:id/verify', authorize('files:read'), verifyFile);
+
+// Metadata update routes
+router.patch('/:id', authorize('files:update'), validate(fileUpdateRules), updateFile);
+router.put('/:id', authorize('files:update'), validate(fileUpdateRules), updateFile);
+
+// Version routes
+router.post('/:id/versions', rateLimit('uploads'), authorize('files:update'), enforceQuota({ addsFiles: false }), upload.single('file'), uploadVersion);
+router.get('/:id/versions', authorize('files:read'), listVersions);
+
+// Review routes
+router.post('/:id/review', authorize('files:review'), validate(reviewRules), reviewFile);
+
+// Malware scan routes
+router.post('/:id/scan', authorize('files:scan'), rescanFile);
+
+// Share link routes
+router.post('/:id/share', authorize('files:share'), createShare);
+router.get('/:id/shares', authorize('files:share'), listShares);
+router.delete('/:id/shares/:shareId', authorize('files:share'), revokeShare);
+
+// Legal hold routes
+router.put('/:id/legal-hold', authorize('files:hold'), setLegalHold);
+router.delete('/:id/legal-hold', authorize('files:hold'), releaseLegalHold);
+
+// Delete and trash routes
+router.delete('/:id', rateLimit('deletes'), authorize('files:delete'), deleteFile);
+router.post('/:id/restore', authorize('files:delete', { trashed: true }), restoreFile);
+router.delete('/:id/permanent', rateLimit('deletes'), authorize('files:delete', { trashed: true }), deleteFilePermanently);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+/**
+ * Retention Routes (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const {
+  getPolicy,
+  purgeExpired
+} = require('../controllers/retentionController');
+
+router.use(protect, requirePermission('retention:manage'));
+
+router.get('/policy', getPolicy);
+router.post('/purge', purgeExpired);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+/**
+ * Public Share Link Routes
+ * No authentication: access is granted by the signed token
+ */
+
+const express = require('express');
+const router = express.Router();
+const { rateLimit } = require('../middleware/rateLimit');
+const { accessShare } = require('../controllers/shareController');
+
+router.get('/:token', rateLimit('downloads'), accessShare);
+router.post('/:token', rateLimit('downloads'), accessShare);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Resumable Upload Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { authorize, requirePermission } = require('../middleware/authorize');
+const { rateLimit } = require('../middleware/rateLimit');
+const { UPLOAD_CHUNK_MAX_SIZE } = require('../config/fileTypes');
+const {
+  createUpload,
+  getUpload,
+  getUploadOffset,
+  appendChunk,
+  cancelUpload
+} = require('../controllers/uploadSessionController');
+
+// Raw chunk bodies for PATCH
+const chunkParser = express.raw({
+  type: 'application/offset+octet-stream',
+  limit: UPLOAD_CHUNK_MAX_SIZE
+});
+
+router.use(protect);
+
+router.post('/', rateLimit('uploads'), authorize('files:create'), createUpload);
+// Session IDs are not file IDs, so the session routes check the
+// permission without loading a file; sessions are looked up by owner
+router.head('/:id', requirePermission('files:create'), getUploadOffset);
+router.get('/:id', requirePermission('files:create'), getUpload);
+router.patch('/:id', rateLimit('uploads'), requirePermission('files:create'), chunkParser, appendChunk);
+router.delete('/:id', requirePermission('files:create'), cancelUpload);
+
+module.exports = router;
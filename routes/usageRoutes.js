@@ -0,0 +1,15 @@
+/**
+ * Storage Usage Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { getUsage } = require('../controllers/usageController');
+
+router.use(protect);
+
+router.get('/', authorize('files:read'), getUsage);
+
+module.exports = router;
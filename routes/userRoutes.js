@@ -0,0 +1,21 @@
+/**
+ * User Routes (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const {
+  getAllUsers,
+  updateUserRole,
+  updateUserQuota
+} = require('../controllers/userController');
+
+router.use(protect, requirePermission('users:manage'));
+
+router.get('/', getAllUsers);
+router.patch('/:id/role', updateUserRole);
+router.patch('/:id/quota', updateUserQuota);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Minimal clamd stand-in for local development and manual testing
+ *
+ * Speaks the INSTREAM protocol on CLAMAV_PORT (default 3310) and reports the
+ * EICAR test string as infected; everything else is clean.
+ *
+ * Usage: npm run clamd:stub
+ */
+
+const net = require('net');
+
+const PORT = parseInt(process.env.CLAMAV_PORT) || 3310;
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const server = net.createServer((socket) => {
+  let buffer = Buffer.alloc(0);
+  let commandRead = false;
+  const content = [];
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+
+    if (!commandRead) {
+      const end = buffer.indexOf(0);
+      if (end === -1) return;
+      const command = buffer.subarray(0, end).toString();
+      buffer = buffer.subarray(end + 1);
+      commandRead = true;
+
+      if (command !== 'zINSTREAM') {
+        socket.end(`${command}: UNKNOWN COMMAND\0`);
+        return;
+      }
+    }
+
+    // Read <4-byte length><data> chunks until the zero-length terminator
+    while (buffer.length >= 4) {
+      const size = buffer.readUInt32BE(0);
+
+      if (size === 0) {
+        const infected = Buffer.concat(content).includes(EICAR);
+        socket.end(infected ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+        return;
+      }
+
+      if (buffer.length < 4 + size) return;
+      content.push(buffer.subarray(4, 4 + size));
+      buffer = buffer.subarray(4 + size);
+    }
+  });
+
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 clamd stub listening on port ${PORT}`);
+});
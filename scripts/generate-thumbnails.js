@@ -0,0 +1,59 @@
+/**
+ * Backfill thumbnails
+ *
+ * Generates thumbnails for stored images and PDFs that do not have them yet
+ * (e.g. files uploaded before thumbnails existed). Quarantined and trashed
+ * files are skipped. Pass --force to regenerate existing thumbnails as well.
+ *
+ * Usage: npm run thumbnails:backfill [-- --force] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+const File = require('../models/File');
+const { supportsThumbnails, generateThumbnails } = require('../services/thumbnails');
+
+const run = async () => {
+  const force = process.argv.includes('--force');
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+
+  const query = { quarantined: { $ne: true }, deletedAt: null };
+  if (!force) query['thumbnails.0'] = { $exists: false };
+
+  let generated = 0;
+  let failed = 0;
+
+  for await (const file of File.find(query).cursor()) {
+    if (!supportsThumbnails(file)) continue;
+
+    if (dryRun) {
+      generated++;
+      continue;
+    }
+
+    try {
+      await generateThumbnails(file);
+      generated++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${file._id} ${file.originalName}: ${error.message}`);
+    }
+  }
+
+  console.log(`${dryRun ? '🔍 Would generate' : '🖼️ Generated'} thumbnails for ${generated} file(s)`);
+  if (failed > 0) {
+    console.log(`⚠️  ${failed} file(s) could not be processed`);
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Thumbnail backfill failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
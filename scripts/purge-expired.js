@@ -0,0 +1,71 @@
+/**
+ * Purge expired files and old trash
+ *
+ * Deletes files whose retention period has ended (see RETENTION_DAYS) and
+ * files left in the trash longer than TRASH_RETENTION_DAYS. Files under
+ * legal hold are kept. Pass --backfill to first set expiry dates on files
+ * stored before retention existed. Run it from cron.
+ *
+ * Usage: npm run retention:purge [-- --dry-run] [--backfill]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+const {
+  purgeExpiredFiles,
+  purgeTrash,
+  applyRetentionToExistingFiles
+} = require('../services/retention');
+
+/**
+ * Run a purge in bounded batches until nothing more matches
+ */
+const purgeAll = async (purge, dryRun) => {
+  const totals = { purged: 0, failed: 0, held: 0 };
+  let report;
+
+  do {
+    report = await purge({ dryRun });
+    totals.purged += report.purged.length;
+    totals.failed += report.failed.length;
+    totals.held = report.held;
+  } while (!dryRun && report.hasMore && report.failed.length === 0);
+
+  return totals;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const backfill = process.argv.includes('--backfill');
+
+  await connectDB();
+
+  if (backfill) {
+    const updated = await applyRetentionToExistingFiles({ dryRun });
+    console.log(`${dryRun ? '🔍 Would set' : '📅 Set'} retention dates on ${updated} file(s)`);
+  }
+
+  const expired = await purgeAll(purgeExpiredFiles, dryRun);
+  const trash = await purgeAll(purgeTrash, dryRun);
+  const held = expired.held + trash.held;
+  const failed = expired.failed + trash.failed;
+
+  console.log(`${dryRun ? '🔍 Would purge' : '🗑️ Purged'} ${expired.purged} expired file(s)`);
+  console.log(`${dryRun ? '🔍 Would empty' : '🗑️ Emptied'} ${trash.purged} file(s) from the trash`);
+  if (held > 0) {
+    console.log(`⚖️ ${held} file(s) kept under legal hold`);
+  }
+  if (failed > 0) {
+    console.log(`⚠️  ${failed} file(s) could not be purged`);
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Retention purge failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+/**
+ * Reconcile file storage
+ *
+ * Compares File records with the GridFS bucket. Reports GridFS objects no
+ * record references, chunks of uploads that never completed, records
+ * whose content (current, a version or a thumbnail) is missing, and
+ * reference counts that do not match the records. Objects younger than
+ * STORAGE_ORPHAN_GRACE_MINUTES are skipped as uploads may still be in
+ * progress.
+ *
+ * Nothing is changed unless --repair is passed: unreferenced objects and
+ * chunks are then deleted, records without current content are deleted
+ * (except under legal hold), missing versions and thumbnails are dropped
+ * from their records and reference counts are corrected. Exits with 1 when
+ * problems are found in report mode or a repair fails.
+ *
+ * Usage: npm run storage:reconcile [-- --repair] [--json] [--grace-minutes=N]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+const { reconcileStorage } = require('../services/storageReconciliation');
+
+const describeReference = (reference) => {
+  if (reference.scope === 'version') return `version ${reference.version}`;
+  if (reference.scope === 'thumbnail') return `${reference.size} thumbnail`;
+  return 'current content';
+};
+
+const SECTIONS = [
+  ['orphanedObjects', 'unreferenced GridFS object(s)', entry => `${entry.id} ${entry.kind} "${entry.filename}" (${entry.length} bytes, ${entry.uploadDate.toISOString()})`],
+  ['orphanedChunks', 'incomplete upload(s) with leftover chunks', entry => `${entry.id} (started ${entry.startedAt.toISOString()})`],
+  ['missingContent', 'record(s) with missing content', entry => `${entry.file} "${entry.originalName}": ${entry.missing.map(describeReference).join(', ')}`],
+  ['refCountMismatches', 'reference count mismatch(es)', entry => `${entry.id} "${entry.filename}": count ${entry.refCount === null ? 'unset' : entry.refCount}, ${entry.references} reference(s)`]
+];
+
+const run = async () => {
+  const repair = process.argv.includes('--repair');
+  const json = process.argv.includes('--json');
+  const graceArg = process.argv.find(arg => arg.startsWith('--grace-minutes='));
+  const options = { repair };
+
+  if (graceArg) {
+    options.graceMinutes = parseFloat(graceArg.split('=')[1]);
+    if (!Number.isFinite(options.graceMinutes) || options.graceMinutes < 0) {
+      throw new Error('--grace-minutes must be a non-negative number');
+    }
+  }
+
+  await connectDB();
+
+  const report = await reconcileStorage(options);
+  const problems = SECTIONS.reduce((total, [key]) => total + report[key].length, 0);
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    SECTIONS.forEach(([key, label, describe]) => {
+      console.log(`${report[key].length ? '⚠️ ' : '✅'} ${report[key].length} ${label}`);
+      report[key].forEach(entry => console.log(`   ${describe(entry)}${entry.repair ? ` → ${entry.repair}` : ''}`));
+    });
+
+    if (problems > 0 && !repair) {
+      console.log('🔍 Report only; run with --repair to fix');
+    }
+  }
+
+  if (report.failed > 0 || (problems > 0 && !repair)) {
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Storage reconciliation failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
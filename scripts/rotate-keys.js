@@ -0,0 +1,85 @@
+/**
+ * Rotate the encryption master key
+ *
+ * Re-wraps every stored data key (GridFS files and in-progress resumable
+ * uploads) with the current ENCRYPTION_MASTER_KEY. Content is not
+ * re-encrypted. Keep the old key in ENCRYPTION_PREVIOUS_KEYS until this has
+ * completed.
+ *
+ * Usage: npm run keys:rotate [-- --dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+const { getKeyring, wrapDataKey, unwrapDataKey } = require('../config/encryption');
+const UploadSession = require('../models/UploadSession');
+
+/**
+ * Re-wrap the data keys stored at `field` in a collection
+ */
+const rotateCollection = async (collection, field, currentKeyId, dryRun) => {
+  const cursor = collection.find({
+    [field]: { $exists: true },
+    [`${field}.keyId`]: { $ne: currentKeyId }
+  });
+
+  let rotated = 0;
+  let failed = 0;
+
+  for await (const doc of cursor) {
+    try {
+      const encryption = field.split('.').reduce((value, key) => value[key], doc);
+      const rewrapped = wrapDataKey(unwrapDataKey(encryption));
+
+      if (!dryRun) {
+        await collection.updateOne(
+          { _id: doc._id, [`${field}.keyId`]: encryption.keyId },
+          {
+            $set: {
+              [`${field}.keyId`]: rewrapped.keyId,
+              [`${field}.wrappedKey`]: rewrapped.wrappedKey
+            }
+          }
+        );
+      }
+
+      rotated++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${collection.collectionName} ${doc._id}: ${error.message}`);
+    }
+  }
+
+  return { rotated, failed };
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const { currentKeyId } = getKeyring();
+
+  await connectDB();
+
+  const db = mongoose.connection.db;
+  const results = [
+    await rotateCollection(db.collection('uploads.files'), 'metadata.encryption', currentKeyId, dryRun),
+    await rotateCollection(UploadSession.collection, 'encryption', currentKeyId, dryRun)
+  ];
+
+  const rotated = results.reduce((sum, result) => sum + result.rotated, 0);
+  const failed = results.reduce((sum, result) => sum + result.failed, 0);
+
+  console.log(`${dryRun ? '🔍 Would re-wrap' : '🔑 Re-wrapped'} ${rotated} data key(s) to master key ${currentKeyId}`);
+  if (failed > 0) {
+    console.log(`⚠️  ${failed} data key(s) could not be re-wrapped`);
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Key rotation failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+/**
+ * Set a user's role from the command line
+ * Used to bootstrap the first admin account
+ *
+ * Usage: npm run user:role -- <email> <role>
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+const { ROLES } = require('../config/roles');
+const User = require('../models/User');
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run user:role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`❌ No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.email} is now ${user.role}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Failed to set role:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -9,7 +9,16 @@ const cors = require('cors');
 const path = require('path');
 const { connectDB, getConnectionStatus } = require('./config/db');
 const { initGridFS, getGridFSStatus } = require('./config/gridfs');
+const { startTrashPurgeSchedule } = require('./services/retention');
+const { sendQuotaExceeded } = require('./services/quota');
+const authRoutes = require('./routes/authRoutes');
 const fileRoutes = require('./routes/fileRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const userRoutes = require('./routes/userRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const retentionRoutes = require('./routes/retentionRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const usageRoutes = require('./routes/usageRoutes');
 
 const app = express();
 
@@ -19,8 +28,9 @@ app.set('trust proxy', 1);
 // CORS configuration
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since', 'Upload-Offset', 'Upload-Length', 'X-Share-Password'],
+  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Disposition', 'ETag', 'Last-Modified', 'Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
   credentials: true
 }));
 
@@ -47,7 +57,14 @@ app.get('/api/health', async (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/usage', usageRoutes);
 
 // Serve frontend for all other routes
 app.get('*', (req, res) => {
@@ -66,6 +83,35 @@ app.use((err, req, res, next) => {
     });
   }
   
+  // Request body (e.g. resumable upload chunk) too large
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: 'Request body too large'
+    });
+  }
+  
+  // Photo too large to strip its metadata in memory
+  if (err.code === 'IMAGE_TOO_LARGE') {
+    return res.status(413).json({
+      success: false,
+      message: err.message
+    });
+  }
+  
+  // Upload stream would exceed the owner's storage quota
+  if (err.code === 'QUOTA_EXCEEDED') {
+    return sendQuotaExceeded(res, err.message, err.quota);
+  }
+  
+  // File name with a path, markup or control characters
+  if (err.code === 'INVALID_FILE_NAME') {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+  
   // Multer file type error
   if (err.message && err.message.includes('Invalid file type')) {
     return res.status(400).json({
@@ -126,6 +172,9 @@ if (process.env.NODE_ENV !== 'production') {
 ╚════════════════════════════════════════════════════════╝
     `);
   });
+
+  // Long-running server: empty old trash in the background
+  startTrashPurgeSchedule();
 }
 
 // Export for Vercel
@@ -0,0 +1,133 @@
+/**
+ * ZIP Archives
+ * Streams several stored files into one ZIP, one file at a time, so memory
+ * use does not grow with the archive
+ */
+
+const path = require('path');
+const { once } = require('events');
+const archiver = require('archiver');
+const { getDownloadStream } = require('../config/gridfs');
+const { ARCHIVE_STORE_TYPES } = require('../config/archive');
+
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * A ZIP entry name for `name` not yet in `used` (compared
+ * case-insensitively): "report.pdf", "report (2).pdf", ...
+ */
+const uniqueEntryName = (name, used) => {
+  const safe = String(name || '')
+    .replace(/[\/\\\u0000-\u001f]/g, '_')
+    .replace(/^\.+$/, '_')
+    .trim() || 'file';
+
+  const extension = path.extname(safe);
+  const base = safe.slice(0, safe.length - extension.length);
+
+  let candidate = safe;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${extension}`;
+  }
+
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Pair each file with its entry name and describe the archive in a manifest
+ */
+const planArchive = (files, { skipped = [], user } = {}) => {
+  const used = new Set([MANIFEST_NAME]);
+  const entries = files.map(file => ({ file, name: uniqueEntryName(file.originalName, used) }));
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    generatedBy: user ? { id: user._id, email: user.email } : null,
+    fileCount: entries.length,
+    totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
+    files: entries.map(({ file, name }) => ({
+      entry: name,
+      id: file._id,
+      originalName: file.originalName,
+      mimeType: file.mimeType,
+      size: file.size,
+      sha256: file.sha256,
+      category: file.category,
+      description: file.description,
+      tags: file.tags || [],
+      metadata: (file.metadata || []).map(({ key, type, value }) => ({ key, type, value })),
+      status: file.status,
+      version: file.version || 1,
+      uploadDate: file.uploadDate
+    })),
+    skipped
+  };
+
+  return { entries, manifest };
+};
+
+/**
+ * Write the manifest and every entry to `res` as a ZIP.
+ * Each file is read from GridFS only once the previous one is written.
+ * Resolves when the archive is complete or the client went away; rejects
+ * if a file cannot be read (the response is then cut off).
+ */
+const streamArchive = async (res, { entries, manifest }) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const abort = new AbortController();
+  let current = null;
+
+  res.on('close', () => {
+    if (res.writableFinished) return;
+
+    abort.abort();
+    archive.abort();
+    if (current) current.destroy();
+  });
+
+  archive.on('warning', error => console.warn('⚠️ Archive warning:', error.message));
+  archive.on('error', error => res.destroy(error));
+  archive.pipe(res);
+
+  // Wait for each entry so only one GridFS stream is open at a time.
+  // A read error fails the archive (once() rejects on 'error').
+  const append = async (source, data) => {
+    const written = once(archive, 'entry', { signal: abort.signal });
+    if (typeof source.once === 'function') {
+      source.once('error', error => archive.emit('error', error));
+    }
+    archive.append(source, data);
+    await written;
+  };
+
+  try {
+    await append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+
+    for (const { file, name } of entries) {
+      current = getDownloadStream(file.gridfsId);
+      await append(current, {
+        name,
+        date: file.uploadDate,
+        store: ARCHIVE_STORE_TYPES.includes(file.mimeType)
+      });
+    }
+
+    current = null;
+    await archive.finalize();
+
+  } catch (error) {
+    if (abort.signal.aborted) return;
+
+    archive.abort();
+    if (current) current.destroy();
+    throw error;
+  }
+};
+
+module.exports = {
+  MANIFEST_NAME,
+  uniqueEntryName,
+  planArchive,
+  streamArchive
+};
@@ -0,0 +1,203 @@
+/**
+ * Audit Log
+ * Appends hash-chained audit events and verifies the chain
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { GENESIS_HASH } = require('../config/audit');
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Fields covered by an entry's hash, in order
+const HASHED_FIELDS = [
+  'seq',
+  'timestamp',
+  'action',
+  'outcome',
+  'actor',
+  'actorEmail',
+  'actorRole',
+  'file',
+  'fileName',
+  'fileOwner',
+  'shareLink',
+  'ip',
+  'userAgent',
+  'statusCode',
+  'details',
+  'prevHash'
+];
+
+// Appends from this process are chained one at a time
+let appendQueue = Promise.resolve();
+
+/**
+ * JSON with object keys sorted, so equal values always hash the same
+ */
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * SHA-256 over an entry's hashed fields (hex)
+ */
+const hashEntry = (entry) => {
+  const material = {};
+
+  HASHED_FIELDS.forEach((field) => {
+    const value = entry[field];
+
+    if (value instanceof Date) {
+      material[field] = value.toISOString();
+    } else if (value instanceof mongoose.Types.ObjectId) {
+      material[field] = value.toString();
+    } else {
+      material[field] = value === undefined ? null : value;
+    }
+  });
+
+  return crypto.createHash('sha256').update(canonicalJSON(material)).digest('hex');
+};
+
+/**
+ * Link an entry to the current end of the chain and store it.
+ * Retries when another server instance appended at the same position.
+ */
+const appendEntry = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditEvent.findOne().sort({ seq: -1 }).select('seq hash').lean();
+
+    const entry = {
+      ...fields,
+      seq: last ? last.seq + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      return await AuditEvent.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Record an audit event. `req` supplies the actor, IP (honouring the
+ * trust proxy setting) and user agent; pass null for system jobs.
+ * Never throws: a failed write is logged and resolves to null.
+ */
+const recordAudit = (req, event) => {
+  const { action, outcome = 'success', file, fileName, shareLink, statusCode, details } = event;
+  const user = req && req.user;
+
+  const fields = {
+    timestamp: new Date(),
+    action,
+    outcome,
+    actor: user ? user._id : null,
+    actorEmail: user ? user.email : null,
+    actorRole: user ? user.role : null,
+    file: file ? file._id || file : null,
+    fileName: fileName || (file && file.originalName) || null,
+    fileOwner: (file && file.owner) || null,
+    shareLink: shareLink ? shareLink._id || shareLink : null,
+    ip: req ? req.ip || null : null,
+    userAgent: req ? req.get('User-Agent') || null : null,
+    statusCode: statusCode || null,
+    // Stored exactly as hashed: plain JSON values only
+    details: details ? JSON.parse(JSON.stringify(details)) : null
+  };
+
+  const appended = appendQueue.then(() => appendEntry(fields));
+  appendQueue = appended.catch(() => {});
+
+  return appended.catch((error) => {
+    console.error(`❌ Audit log error (${action}):`, error.message);
+    return null;
+  });
+};
+
+/**
+ * Record an event when the response has been sent. Unless the event sets
+ * an outcome, it follows the response: 401/403 are denied, other errors and
+ * interrupted transfers are failures. Returns the event so the handler can
+ * fill in `file` or `details` once they are known.
+ */
+const auditResponse = (req, res, event) => {
+  res.on('close', () => {
+    const completed = res.writableFinished;
+    let outcome = 'success';
+
+    if (res.statusCode === 401 || res.statusCode === 403) {
+      outcome = 'denied';
+    } else if (res.statusCode >= 400 || !completed) {
+      outcome = 'failure';
+    }
+
+    recordAudit(req, {
+      ...event,
+      outcome: event.outcome || outcome,
+      statusCode: res.statusCode,
+      details: completed ? event.details : { ...event.details, aborted: true }
+    });
+  });
+
+  return event;
+};
+
+/**
+ * Walk the whole chain and check every link and hash.
+ * Returns { valid, checked, lastSeq, lastHash } or, when broken,
+ * { valid: false, checked, brokenAt, reason }.
+ */
+const verifyAuditChain = async () => {
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+
+  for await (const entry of AuditEvent.find().sort({ seq: 1 }).lean().cursor()) {
+    const checked = expectedSeq - 1;
+
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, brokenAt: expectedSeq, reason: `Entry ${expectedSeq} is missing` };
+    }
+
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry does not link to the previous entry' };
+    }
+
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry content does not match its hash' };
+    }
+
+    prevHash = entry.hash;
+    expectedSeq++;
+  }
+
+  return {
+    valid: true,
+    checked: expectedSeq - 1,
+    lastSeq: expectedSeq - 1,
+    lastHash: prevHash
+  };
+};
+
+module.exports = {
+  hashEntry,
+  recordAudit,
+  auditResponse,
+  verifyAuditChain
+};
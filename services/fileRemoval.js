@@ -0,0 +1,40 @@
+/**
+ * File Removal
+ * Deletes a File record together with everything stored for it
+ */
+
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const { withTransaction } = require('../config/db');
+const { releaseGridFSFile } = require('../config/gridfs');
+const { removeThumbnailObjects } = require('./thumbnails');
+
+/**
+ * Remove a file's record and share links, then its content (every
+ * version) and thumbnails. GridFS content shared with other files
+ * (deduplicated) is kept until its last reference is released.
+ *
+ * The record goes first, in a transaction where available: if releasing
+ * content fails afterwards, what is left is unreferenced GridFS data that
+ * `npm run storage:reconcile` removes, never a record without content.
+ */
+const destroyFile = async (file) => {
+  await withTransaction(async (session) => {
+    await File.deleteOne({ _id: file._id }, { session });
+    await ShareLink.deleteMany({ file: file._id }, { session });
+  });
+
+  const contentIds = [file.gridfsId, ...(file.versions || []).map(version => version.gridfsId)];
+
+  for (const gridfsId of contentIds.filter(Boolean)) {
+    try {
+      await releaseGridFSFile(gridfsId);
+    } catch (error) {
+      console.error(`❌ Content release failed: ${gridfsId}`, error.message);
+    }
+  }
+
+  await removeThumbnailObjects(file.thumbnails || []);
+};
+
+module.exports = { destroyFile };
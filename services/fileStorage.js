@@ -0,0 +1,32 @@
+/**
+ * File Storage
+ * Saves records that reference content already streamed into GridFS.
+ * GridFS uploads cannot join a transaction, so when the records cannot be
+ * saved the content is released again instead of being left unreferenced.
+ */
+
+const { withTransaction } = require('../config/db');
+const { releaseGridFSFile } = require('../config/gridfs');
+
+/**
+ * Run `work(session)` to save the records referencing `gridfsIds`, in a
+ * transaction where the server supports one (`session` is null otherwise).
+ * If it fails, one reference to each GridFS object is released and the
+ * error is rethrown.
+ */
+const saveWithStoredContent = async (gridfsIds, work) => {
+  try {
+    return await withTransaction(work);
+  } catch (error) {
+    for (const gridfsId of gridfsIds.filter(Boolean)) {
+      try {
+        await releaseGridFSFile(gridfsId);
+      } catch (releaseError) {
+        console.error(`❌ Release after failed save: ${gridfsId}`, releaseError.message);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = { saveWithStoredContent };
@@ -0,0 +1,164 @@
+/**
+ * Storage Quotas
+ * Measures what a user stores and checks new content against their limits
+ * before it is written
+ */
+
+const { Transform } = require('stream');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const { resolveQuotaLimits } = require('../config/quota');
+
+// Stored bytes of a File: current content plus every earlier version
+const STORED_BYTES = { $add: [{ $ifNull: ['$size', 0] }, { $sum: '$versions.size' }] };
+
+/**
+ * Bytes and files a user stores (trash included), plus what their
+ * unfinished resumable uploads have reserved
+ */
+const getUsage = async (ownerId) => {
+  const [stored] = await File.aggregate([
+    { $match: { owner: ownerId } },
+    { $group: { _id: null, bytes: { $sum: STORED_BYTES }, files: { $sum: 1 } } }
+  ]);
+
+  const [reserved] = await UploadSession.aggregate([
+    { $match: { owner: ownerId, status: { $ne: 'completed' }, expiresAt: { $gt: new Date() } } },
+    { $group: { _id: null, bytes: { $sum: '$length' }, files: { $sum: 1 } } }
+  ]);
+
+  return {
+    usedBytes: stored ? stored.bytes : 0,
+    usedFiles: stored ? stored.files : 0,
+    reservedBytes: reserved ? reserved.bytes : 0,
+    reservedFiles: reserved ? reserved.files : 0
+  };
+};
+
+/**
+ * A user's limits, usage and what remains (null = unlimited)
+ */
+const getQuotaStatus = async (user) => {
+  const limits = resolveQuotaLimits(user);
+  const usage = await getUsage(user._id);
+
+  const remaining = (limit, used, reserved) => {
+    return limit === null ? null : Math.max(0, limit - used - reserved);
+  };
+
+  return {
+    ...limits,
+    ...usage,
+    remainingBytes: remaining(limits.maxBytes, usage.usedBytes, usage.reservedBytes),
+    remainingFiles: remaining(limits.maxFiles, usage.usedFiles, usage.reservedFiles)
+  };
+};
+
+/**
+ * Why adding `bytes` in `files` new file(s) would exceed the quota, or null
+ */
+const checkQuota = (quota, { bytes = 0, files = 0 }) => {
+  if (files > 0 && quota.remainingFiles !== null && files > quota.remainingFiles) {
+    return `File quota exceeded: ${quota.usedFiles + quota.reservedFiles} of ${quota.maxFiles} files used`;
+  }
+
+  if (quota.remainingBytes !== null && bytes > quota.remainingBytes) {
+    return `Storage quota exceeded: ${formatBytes(quota.usedBytes + quota.reservedBytes)} of ${formatBytes(quota.maxBytes)} used`;
+  }
+
+  return null;
+};
+
+/**
+ * Error for content that does not fit the quota (413)
+ */
+const quotaExceededError = (message, quota) => {
+  const error = new Error(message);
+  error.code = 'QUOTA_EXCEEDED';
+  error.status = 413;
+  error.quota = quota;
+  return error;
+};
+
+/**
+ * Send the 413 response for content that does not fit the quota
+ */
+const sendQuotaExceeded = (res, message, quota) => {
+  return res.status(413).json({
+    success: false,
+    message,
+    quota: serializeQuota(quota)
+  });
+};
+
+/**
+ * Claim room for one more stored stream under `req.quota` (set by the
+ * enforceQuota middleware). Throws if another file does not fit; returns
+ * a transform that fails once the streams of this request together
+ * exceed the remaining bytes, or null when there is no byte limit.
+ */
+const claimQuota = (req) => {
+  const quota = req.quota;
+  quota.claimedFiles = quota.claimedFiles || 0;
+  quota.claimedBytes = quota.claimedBytes || 0;
+
+  if (quota.addsFiles) {
+    const problem = checkQuota(quota, { files: quota.claimedFiles + 1 });
+    if (problem) throw quotaExceededError(problem, quota);
+    quota.claimedFiles += 1;
+  }
+
+  if (quota.remainingBytes === null) return null;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      quota.claimedBytes += chunk.length;
+
+      const problem = checkQuota(quota, { bytes: quota.claimedBytes });
+      if (problem) return callback(quotaExceededError(problem, quota));
+
+      callback(null, chunk);
+    }
+  });
+};
+
+/**
+ * Quota fields for API responses
+ */
+const serializeQuota = (quota) => ({
+  maxBytes: quota.maxBytes,
+  maxFiles: quota.maxFiles,
+  usedBytes: quota.usedBytes,
+  usedFiles: quota.usedFiles,
+  reservedBytes: quota.reservedBytes,
+  reservedFiles: quota.reservedFiles,
+  remainingBytes: quota.remainingBytes,
+  remainingFiles: quota.remainingFiles
+});
+
+/**
+ * Human-readable byte count for quota messages
+ */
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+module.exports = {
+  STORED_BYTES,
+  getUsage,
+  getQuotaStatus,
+  checkQuota,
+  quotaExceededError,
+  sendQuotaExceeded,
+  claimQuota,
+  serializeQuota
+};
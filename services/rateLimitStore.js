@@ -0,0 +1,90 @@
+/**
+ * Rate Limit Stores
+ * Fixed-window request counters: in MongoDB so every serverless instance
+ * shares them, or in memory for a single local server
+ */
+
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { ensureConnection } = require('../config/db');
+const { RATE_LIMIT_STORE } = require('../config/rateLimit');
+
+/**
+ * Start and end of the window `now` falls in
+ */
+const currentWindow = (windowMs, now = Date.now()) => {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: new Date(start + windowMs) };
+};
+
+/**
+ * Counters kept in this process; expired windows are swept periodically
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt.getTime() <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const { start, resetAt } = currentWindow(windowMs);
+      const id = `${key}:${start}`;
+      const counter = counters.get(id) || { count: 0, resetAt };
+
+      counter.count += 1;
+      counters.set(id, counter);
+      return { count: counter.count, resetAt };
+    }
+  };
+};
+
+/**
+ * Counters stored as RateLimitCounter documents, removed by a TTL index
+ * when their window ends
+ */
+const createMongoStore = () => ({
+  async increment(key, windowMs) {
+    await ensureConnection();
+
+    const { start, resetAt } = currentWindow(windowMs);
+    const update = () => RateLimitCounter.findOneAndUpdate(
+      { _id: `${key}:${start}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, new: true, lean: true }
+    );
+
+    let counter;
+    try {
+      counter = await update();
+    } catch (error) {
+      // Two first requests in a window can race to insert; the loser retries
+      if (error.code !== 11000) throw error;
+      counter = await update();
+    }
+
+    return { count: counter.count, resetAt };
+  }
+});
+
+let store = null;
+
+/**
+ * The configured store (RATE_LIMIT_STORE), created on first use
+ */
+const getRateLimitStore = () => {
+  if (!store) {
+    store = RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getRateLimitStore
+};
@@ -0,0 +1,146 @@
+/**
+ * Retention
+ * Purges documents whose retention period has ended and empties old trash
+ */
+
+const File = require('../models/File');
+const { ensureConnection } = require('../config/db');
+const {
+  DAY_MS,
+  TRASH_RETENTION_DAYS,
+  TRASH_PURGE_INTERVAL_MINUTES,
+  computeExpiresAt
+} = require('../config/retention');
+const { destroyFile } = require('./fileRemoval');
+const { recordAudit } = require('./audit');
+
+/**
+ * Permanently delete files matching `query`, oldest `sortField` first.
+ * Files under legal hold are never deleted; they are only counted.
+ * With `dryRun`, nothing is deleted and the report lists what would be.
+ */
+const purgeMatching = async (query, sortField, { dryRun, now, limit, label, reason }) => {
+  const report = {
+    dryRun,
+    checkedAt: now,
+    purged: [],
+    failed: [],
+    held: await File.countDocuments({ ...query, 'legalHold.active': true })
+  };
+
+  const files = await File.find({ ...query, 'legalHold.active': { $ne: true } })
+    .select('-statusHistory')
+    .sort({ [sortField]: 1 })
+    .limit(limit);
+
+  for (const file of files) {
+    const entry = {
+      id: file._id,
+      originalName: file.originalName,
+      category: file.category,
+      size: file.size,
+      expiresAt: file.expiresAt,
+      deletedAt: file.deletedAt
+    };
+
+    if (dryRun) {
+      report.purged.push(entry);
+      continue;
+    }
+
+    try {
+      await destroyFile(file);
+      report.purged.push(entry);
+      await recordAudit(null, { action: 'file.purge', file, details: { reason } });
+      console.log(`🗑️ ${label}: ${file.originalName} (${sortField} ${file[sortField].toISOString()})`);
+    } catch (error) {
+      console.error(`❌ ${label} failed: ${file.originalName}`, error.message);
+      report.failed.push({ ...entry, error: error.message });
+    }
+  }
+
+  report.hasMore = files.length === limit;
+  return report;
+};
+
+/**
+ * Delete every expired file that is not under legal hold
+ */
+const purgeExpiredFiles = ({ dryRun = false, now = new Date(), limit = 1000 } = {}) => {
+  return purgeMatching(
+    { expiresAt: { $ne: null, $lte: now } },
+    'expiresAt',
+    { dryRun, now, limit, label: 'Retention purge', reason: 'retention' }
+  );
+};
+
+/**
+ * Delete files that have been in the trash longer than TRASH_RETENTION_DAYS
+ */
+const purgeTrash = ({ dryRun = false, now = new Date(), limit = 1000 } = {}) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  return purgeMatching(
+    { deletedAt: { $ne: null, $lte: cutoff } },
+    'deletedAt',
+    { dryRun, now, limit, label: 'Trash purge', reason: 'trash' }
+  );
+};
+
+/**
+ * Empty old trash periodically in a long-running server.
+ * Serverless deployments run `npm run retention:purge` from cron instead.
+ */
+const startTrashPurgeSchedule = () => {
+  if (!TRASH_PURGE_INTERVAL_MINUTES) return null;
+
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await ensureConnection();
+      const report = await purgeTrash();
+      if (report.purged.length > 0) {
+        console.log(`🗑️ Trash purge: ${report.purged.length} file(s) permanently deleted`);
+      }
+    } catch (error) {
+      console.error('❌ Trash purge error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+
+  // Do not keep the process alive just for the schedule
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Set expiresAt on files stored before retention existed.
+ * Returns the number of files updated.
+ */
+const applyRetentionToExistingFiles = async ({ dryRun = false } = {}) => {
+  let updated = 0;
+
+  for await (const file of File.find({ expiresAt: { $exists: false } }).select('category uploadDate').cursor()) {
+    updated++;
+    if (dryRun) continue;
+
+    await File.updateOne(
+      { _id: file._id },
+      { $set: { expiresAt: computeExpiresAt(file.category, file.uploadDate) } }
+    );
+  }
+
+  return updated;
+};
+
+module.exports = {
+  purgeExpiredFiles,
+  purgeTrash,
+  startTrashPurgeSchedule,
+  applyRetentionToExistingFiles
+};
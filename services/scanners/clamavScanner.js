@@ -0,0 +1,87 @@
+/**
+ * ClamAV Scanner
+ * Streams content to a clamd daemon using the INSTREAM command
+ */
+
+const net = require('net');
+
+const name = 'clamav';
+
+const CLAMAV_HOST = process.env.CLAMAV_HOST || '127.0.0.1';
+const CLAMAV_PORT = parseInt(process.env.CLAMAV_PORT) || 3310;
+const CLAMAV_SOCKET = process.env.CLAMAV_SOCKET; // Unix socket path (overrides host/port)
+const CLAMAV_TIMEOUT_MS = parseInt(process.env.CLAMAV_TIMEOUT_MS) || 30000;
+
+/**
+ * Parse a clamd INSTREAM reply, e.g. "stream: OK" or
+ * "stream: Eicar-Test-Signature FOUND"
+ */
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, '').trim();
+
+  if (/:\s*OK$/.test(text)) {
+    return { clean: true, signatures: [] };
+  }
+
+  const found = text.match(/:\s*(.+)\s+FOUND$/);
+  if (found) {
+    return { clean: false, signatures: [found[1]] };
+  }
+
+  throw new Error(`clamd error: ${text || 'empty reply'}`);
+};
+
+/**
+ * Scan a readable stream
+ */
+const scan = (stream) => {
+  return new Promise((resolve, reject) => {
+    const socket = CLAMAV_SOCKET
+      ? net.createConnection(CLAMAV_SOCKET)
+      : net.createConnection(CLAMAV_PORT, CLAMAV_HOST);
+
+    let reply = '';
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      stream.destroy();
+      socket.destroy();
+      error ? reject(error) : resolve(result);
+    };
+
+    socket.setTimeout(CLAMAV_TIMEOUT_MS, () => {
+      finish(new Error(`clamd timed out after ${CLAMAV_TIMEOUT_MS}ms`));
+    });
+    socket.on('error', error => finish(new Error(`clamd connection failed: ${error.message}`)));
+    socket.on('data', (data) => { reply += data.toString(); });
+    socket.on('end', () => {
+      try {
+        finish(null, parseReply(reply));
+      } catch (error) {
+        finish(error);
+      }
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+
+      // Each chunk is sent as <4-byte big-endian length><data>
+      stream.on('data', (chunk) => {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length, 0);
+        if (!socket.write(Buffer.concat([size, chunk]))) {
+          stream.pause();
+          socket.once('drain', () => stream.resume());
+        }
+      });
+
+      // A zero-length chunk terminates the stream
+      stream.on('end', () => socket.write(Buffer.alloc(4)));
+      stream.on('error', error => finish(error));
+    });
+  });
+};
+
+module.exports = { name, scan, parseReply };
@@ -0,0 +1,82 @@
+/**
+ * Malware Scanning
+ * Selects the scanner adapter (SCANNER=clamav|none) and records scan
+ * results on File documents
+ */
+
+const { getDownloadStream } = require('../../config/gridfs');
+const clamavScanner = require('./clamavScanner');
+const noopScanner = require('./noopScanner');
+
+const SCANNERS = {
+  clamav: clamavScanner,
+  none: noopScanner
+};
+
+/**
+ * Get the configured scanner adapter
+ */
+const getScanner = () => {
+  const scannerName = process.env.SCANNER || 'none';
+  const scanner = SCANNERS[scannerName];
+
+  if (!scanner) {
+    throw new Error(`Unknown SCANNER "${scannerName}". Available: ${Object.keys(SCANNERS).join(', ')}`);
+  }
+
+  return scanner;
+};
+
+/**
+ * Scan a stored file and update its quarantine state.
+ * Infected files and files that could not be scanned stay quarantined, as
+ * do skipped ones (scanning disabled) unless unscanned files are allowed.
+ */
+const scanStoredFile = async (file) => {
+  let result;
+  let scanner;
+
+  try {
+    scanner = getScanner();
+    result = await scanner.scan(getDownloadStream(file.gridfsId));
+  } catch (error) {
+    console.error(`❌ Scan failed: ${file.originalName}`, error.message);
+    file.scan = {
+      status: 'error',
+      scanner: scanner ? scanner.name : undefined,
+      signatures: [],
+      error: error.message,
+      scannedAt: new Date()
+    };
+    file.quarantined = true;
+    await file.save();
+    return file;
+  }
+
+  let status = result.clean ? 'clean' : 'infected';
+  if (result.skipped) status = 'skipped';
+
+  file.scan = {
+    status,
+    scanner: scanner.name,
+    signatures: result.signatures,
+    scannedAt: new Date()
+  };
+  file.quarantined = !result.clean;
+  await file.save();
+
+  if (result.skipped) {
+    console.log(`⚠️  Scan skipped: ${file.originalName}${file.quarantined ? ' (quarantined)' : ''}`);
+  } else if (result.clean) {
+    console.log(`🛡️ Scan clean: ${file.originalName}`);
+  } else {
+    console.log(`☣️ Quarantined: ${file.originalName} (${result.signatures.join(', ')})`);
+  }
+
+  return file;
+};
+
+module.exports = {
+  getScanner,
+  scanStoredFile
+};
@@ -0,0 +1,22 @@
+/**
+ * No-op Scanner
+ * Used when malware scanning is disabled: files are reported as skipped
+ * and stay quarantined, unless ALLOW_UNSCANNED=true lets them through
+ */
+
+const name = 'none';
+
+/**
+ * Whether files that were never scanned may be served
+ */
+const allowUnscanned = () => process.env.ALLOW_UNSCANNED === 'true';
+
+/**
+ * Discard the content and report it unscanned
+ */
+const scan = async (stream) => {
+  stream.destroy();
+  return { clean: allowUnscanned(), skipped: true, signatures: [] };
+};
+
+module.exports = { name, scan };
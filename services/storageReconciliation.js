@@ -0,0 +1,242 @@
+/**
+ * Storage Reconciliation
+ * Compares File records with the GridFS bucket and reports (or repairs)
+ * content nothing references, records whose content is missing and
+ * reference counts that do not match the records
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const { ensureConnection } = require('../config/db');
+const {
+  ORPHAN_GRACE_MINUTES,
+  fileExistsInGridFS,
+  scanGridFSFiles,
+  findOrphanedChunkIds,
+  deleteGridFSChunks,
+  setGridFSRefCount,
+  deleteUnreferencedGridFSFile
+} = require('../config/gridfs');
+const { destroyFile } = require('./fileRemoval');
+const { recordAudit } = require('./audit');
+
+const CONTENT_FIELDS = 'originalName gridfsId versions.number versions.gridfsId thumbnails.size thumbnails.gridfsId legalHold';
+
+/**
+ * Every GridFS id a File references: current content, versions, thumbnails
+ */
+const contentReferences = (file) => [
+  { scope: 'current', gridfsId: file.gridfsId },
+  ...(file.versions || []).map(version => ({ scope: 'version', version: version.number, gridfsId: version.gridfsId })),
+  ...(file.thumbnails || []).map(thumbnail => ({ scope: 'thumbnail', size: thumbnail.size, gridfsId: thumbnail.gridfsId }))
+].filter(reference => reference.gridfsId);
+
+/**
+ * Count references per GridFS id across all File records
+ */
+const countReferences = async () => {
+  const counts = new Map();
+  const cursor = File.find({}).select(CONTENT_FIELDS).lean().cursor();
+
+  for await (const file of cursor) {
+    contentReferences(file).forEach(({ gridfsId }) => {
+      const key = String(gridfsId);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  }
+
+  return counts;
+};
+
+/**
+ * References to one GridFS id, counted again just before a repair so
+ * records saved since the scan are taken into account
+ */
+const recountReferences = async (gridfsId) => {
+  const id = new mongoose.Types.ObjectId(gridfsId);
+  const files = await File.find({
+    $or: [{ gridfsId: id }, { 'versions.gridfsId': id }, { 'thumbnails.gridfsId': id }]
+  }).select(CONTENT_FIELDS).lean();
+
+  return files.reduce((total, file) => {
+    return total + contentReferences(file).filter(reference => reference.gridfsId.equals(id)).length;
+  }, 0);
+};
+
+/**
+ * GridFS objects nobody references (past the grace period) and objects
+ * whose reference count differs from the number of references
+ */
+const checkGridFSObjects = async (report, references, { repair, cutoff }) => {
+  for await (const gridFile of scanGridFSFiles()) {
+    const id = String(gridFile._id);
+    const refCount = gridFile.metadata ? gridFile.metadata.refCount : undefined;
+    const referenced = references.get(id) || 0;
+
+    if (referenced === 0) {
+      if (gridFile.uploadDate > cutoff) continue;
+
+      const entry = {
+        id,
+        filename: gridFile.filename,
+        length: gridFile.length,
+        uploadDate: gridFile.uploadDate,
+        kind: (gridFile.metadata && gridFile.metadata.kind) || 'content'
+      };
+      report.orphanedObjects.push(entry);
+
+      if (repair) {
+        await repairStep(report, entry, async () => {
+          if (await recountReferences(id) > 0) return 'referenced again; kept';
+          return await deleteUnreferencedGridFSFile(id, refCount) ? 'deleted' : 'changed since checked; kept';
+        });
+      }
+      continue;
+    }
+
+    // Objects stored before reference counting count as one reference
+    if ((refCount === undefined ? 1 : refCount) === referenced) continue;
+
+    const entry = { id, filename: gridFile.filename, refCount: refCount === undefined ? null : refCount, references: referenced };
+    report.refCountMismatches.push(entry);
+
+    if (repair) {
+      await repairStep(report, entry, async () => {
+        const current = await recountReferences(id);
+        return await setGridFSRefCount(id, refCount, current) ? `set to ${current}` : 'changed since checked; kept';
+      });
+    }
+  }
+};
+
+/**
+ * Chunks left by uploads that never completed
+ */
+const checkOrphanedChunks = async (report, { repair, cutoff }) => {
+  const ids = await findOrphanedChunkIds();
+
+  for (const id of ids) {
+    // The id is created when the upload starts
+    if (id.getTimestamp() > cutoff) continue;
+
+    const entry = { id: String(id), startedAt: id.getTimestamp() };
+    report.orphanedChunks.push(entry);
+
+    if (repair) {
+      await repairStep(report, entry, async () => `deleted ${await deleteGridFSChunks(id)} chunk(s)`);
+    }
+  }
+};
+
+/**
+ * File records (current content, versions, thumbnails) whose GridFS
+ * object no longer exists
+ */
+const checkMissingContent = async (report, { repair }) => {
+  const cursor = File.find({}).select(CONTENT_FIELDS).cursor();
+
+  for await (const file of cursor) {
+    const missing = [];
+
+    for (const reference of contentReferences(file)) {
+      if (!(await fileExistsInGridFS(reference.gridfsId))) {
+        missing.push(reference);
+      }
+    }
+
+    if (missing.length === 0) continue;
+
+    const entry = {
+      file: String(file._id),
+      originalName: file.originalName,
+      missing: missing.map(reference => ({ ...reference, gridfsId: String(reference.gridfsId) }))
+    };
+    report.missingContent.push(entry);
+
+    if (repair) {
+      await repairStep(report, entry, () => repairMissingContent(file, missing));
+    }
+  }
+};
+
+/**
+ * Drop references to missing content. A record whose current content is
+ * gone is deleted (unless under legal hold); missing versions and
+ * thumbnails are removed from the record.
+ */
+const repairMissingContent = async (file, missing) => {
+  const missingIds = missing.map(reference => reference.gridfsId);
+
+  if (missing.some(reference => reference.scope === 'current')) {
+    if (file.legalHold && file.legalHold.active) {
+      return 'under legal hold; kept';
+    }
+
+    // Thumbnails that are already gone need no cleanup
+    file.thumbnails = file.thumbnails.filter(thumbnail => {
+      return !missingIds.some(gridfsId => gridfsId.equals(thumbnail.gridfsId));
+    });
+    await destroyFile(file);
+
+    await recordAudit(null, { action: 'file.purge', file, details: { reason: 'missing-content' } });
+    return 'record deleted';
+  }
+
+  await File.updateOne(
+    { _id: file._id },
+    {
+      $pull: {
+        versions: { gridfsId: { $in: missingIds } },
+        thumbnails: { gridfsId: { $in: missingIds } }
+      }
+    }
+  );
+  return `removed ${missing.length} reference(s)`;
+};
+
+/**
+ * Run one repair, recording its result on the entry; failures are
+ * collected rather than stopping the run
+ */
+const repairStep = async (report, entry, repairEntry) => {
+  try {
+    entry.repair = await repairEntry();
+  } catch (error) {
+    entry.repair = 'failed';
+    entry.error = error.message;
+    report.failed += 1;
+    console.error('❌ Storage repair failed:', error.message);
+  }
+};
+
+/**
+ * Check the whole bucket against the File records.
+ * Without `repair` nothing is changed and the report lists what was found.
+ * Objects and chunks younger than `graceMinutes` are skipped: they may
+ * belong to uploads still in progress.
+ */
+const reconcileStorage = async ({ repair = false, graceMinutes = ORPHAN_GRACE_MINUTES, now = new Date() } = {}) => {
+  await ensureConnection();
+
+  const cutoff = new Date(now.getTime() - graceMinutes * 60 * 1000);
+  const report = {
+    repair,
+    checkedAt: now,
+    graceMinutes,
+    orphanedObjects: [],
+    orphanedChunks: [],
+    missingContent: [],
+    refCountMismatches: [],
+    failed: 0
+  };
+
+  const references = await countReferences();
+
+  await checkGridFSObjects(report, references, { repair, cutoff });
+  await checkOrphanedChunks(report, { repair, cutoff });
+  await checkMissingContent(report, { repair });
+
+  return report;
+};
+
+module.exports = { reconcileStorage };
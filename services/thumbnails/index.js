@@ -0,0 +1,165 @@
+/**
+ * Thumbnails
+ * Generates preview images for stored files (images and PDF first pages)
+ * and keeps them as secondary GridFS objects linked from the File document
+ */
+
+const sharp = require('sharp');
+const {
+  uploadToGridFS,
+  downloadFromGridFS,
+  getDownloadStream,
+  releaseGridFSFile
+} = require('../../config/gridfs');
+const { renderFirstPage } = require('./pdfRenderer');
+
+// Longest side in pixels for each thumbnail size
+const THUMBNAIL_SIZES = {
+  small: 128,
+  medium: 256,
+  large: 512
+};
+
+const DEFAULT_THUMBNAIL_SIZE = 'small';
+const THUMBNAIL_CONTENT_TYPE = 'image/webp';
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const PDF_TYPE = 'application/pdf';
+
+// Largest file previewed; decoding holds the whole source in memory, so
+// larger files are left without thumbnails
+const THUMBNAIL_MAX_SOURCE_SIZE = parseInt(process.env.THUMBNAIL_MAX_SOURCE_SIZE) || 50 * 1024 * 1024; // 50MB
+
+/**
+ * Whether thumbnails can be generated for a file
+ */
+const supportsThumbnails = (file) => {
+  const type = file.detectedMimeType || file.mimeType;
+  if (file.size > THUMBNAIL_MAX_SOURCE_SIZE) return false;
+  return IMAGE_TYPES.includes(type) || type === PDF_TYPE;
+};
+
+/**
+ * Load the source image for a file as a sharp pipeline, already scaled
+ * down to the largest thumbnail size
+ */
+const loadSource = async (file) => {
+  const type = file.detectedMimeType || file.mimeType;
+  const largest = Math.max(...Object.values(THUMBNAIL_SIZES));
+
+  if (type === PDF_TYPE) {
+    return sharp(await renderFirstPage(await downloadFromGridFS(file.gridfsId), largest));
+  }
+
+  // The content is streamed into sharp rather than collected first. Only
+  // the first frame of animations is used; EXIF orientation is applied.
+  const preview = await new Promise((resolve, reject) => {
+    const image = sharp({ failOn: 'none' })
+      .rotate()
+      .resize(largest, largest, { fit: 'inside', withoutEnlargement: true })
+      .png();
+    const content = getDownloadStream(file.gridfsId);
+
+    content.on('error', (error) => {
+      image.destroy();
+      reject(error);
+    });
+    image.on('error', reject);
+
+    content.pipe(image);
+    image.toBuffer().then(resolve, reject);
+  });
+
+  return sharp(preview);
+};
+
+/**
+ * Generate (or regenerate) every thumbnail size for a file.
+ * Previous thumbnails are removed once the new ones are saved.
+ */
+const generateThumbnails = async (file) => {
+  const source = await loadSource(file);
+  const thumbnails = [];
+
+  try {
+    for (const [size, dimension] of Object.entries(THUMBNAIL_SIZES)) {
+      const { data, info } = await source
+        .clone()
+        .resize(dimension, dimension, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const stored = await uploadToGridFS(data, `${file.originalName}.${size}.webp`, {
+        contentType: THUMBNAIL_CONTENT_TYPE,
+        metadata: { kind: 'thumbnail', file: file._id, owner: file.owner, size }
+      });
+
+      thumbnails.push({
+        size,
+        gridfsId: stored.fileId,
+        width: info.width,
+        height: info.height,
+        length: stored.length,
+        contentType: THUMBNAIL_CONTENT_TYPE
+      });
+    }
+  } catch (error) {
+    await removeThumbnailObjects(thumbnails);
+    throw error;
+  }
+
+  const previous = file.thumbnails || [];
+  file.thumbnails = thumbnails;
+
+  try {
+    await file.save();
+  } catch (error) {
+    file.thumbnails = previous;
+    await removeThumbnailObjects(thumbnails);
+    throw error;
+  }
+
+  await removeThumbnailObjects(previous);
+
+  console.log(`🖼️ Thumbnails generated: ${file.originalName}`);
+  return file;
+};
+
+/**
+ * Generate thumbnails for a freshly stored file without failing the caller.
+ * Quarantined content is not processed.
+ */
+const createThumbnailsForUpload = async (file) => {
+  if (file.quarantined || !supportsThumbnails(file)) return file;
+
+  try {
+    return await generateThumbnails(file);
+  } catch (error) {
+    console.error(`❌ Thumbnail generation failed: ${file.originalName}`, error.message);
+    return file;
+  }
+};
+
+/**
+ * Release thumbnail GridFS objects (deleted once nothing else references
+ * them), ignoring ones that are already gone
+ */
+const removeThumbnailObjects = async (thumbnails) => {
+  for (const thumbnail of thumbnails) {
+    try {
+      await releaseGridFSFile(thumbnail.gridfsId);
+    } catch (error) {
+      console.error(`❌ Thumbnail delete failed: ${thumbnail.gridfsId}`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  THUMBNAIL_MAX_SOURCE_SIZE,
+  DEFAULT_THUMBNAIL_SIZE,
+  supportsThumbnails,
+  generateThumbnails,
+  createThumbnailsForUpload,
+  removeThumbnailObjects
+};
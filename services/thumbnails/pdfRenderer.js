@@ -0,0 +1,79 @@
+/**
+ * PDF First-Page Renderer
+ * Rasterizes the first page of a PDF with pdf.js on a native canvas
+ */
+
+const path = require('path');
+const { createCanvas, DOMMatrix, ImageData, Path2D } = require('@napi-rs/canvas');
+
+// pdf.js expects these browser globals when rendering outside the DOM
+global.DOMMatrix = global.DOMMatrix || DOMMatrix;
+global.ImageData = global.ImageData || ImageData;
+global.Path2D = global.Path2D || Path2D;
+
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+const STANDARD_FONTS_PATH = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+/**
+ * Canvas factory backed by @napi-rs/canvas
+ */
+class CanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * Render page 1 of a PDF to PNG, scaled so its longest side is `maxDimension`
+ */
+const renderFirstPage = async (buffer, maxDimension) => {
+  const canvasFactory = new CanvasFactory();
+  const loadingTask = pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    canvasFactory,
+    standardFontDataUrl: STANDARD_FONTS_PATH,
+    // Uploaded PDFs are untrusted: never compile font programs to JS
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  });
+
+  const pdf = await loadingTask.promise;
+
+  try {
+    const page = await pdf.getPage(1);
+    const unscaled = page.getViewport({ scale: 1 });
+    const scale = maxDimension / Math.max(unscaled.width, unscaled.height);
+    const viewport = page.getViewport({ scale });
+
+    const target = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    // PDFs are transparent by default; previews are shown on white
+    target.context.fillStyle = '#ffffff';
+    target.context.fillRect(0, 0, target.canvas.width, target.canvas.height);
+
+    await page.render({ canvasContext: target.context, viewport, canvasFactory }).promise;
+
+    const png = target.canvas.toBuffer('image/png');
+    canvasFactory.destroy(target);
+    return png;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+module.exports = { renderFirstPage };
@@ -0,0 +1,148 @@
+/**
+ * ZIP Import
+ * Reads an uploaded ZIP and decides which entries may be imported, before
+ * any entry is decompressed
+ */
+
+const path = require('path');
+const yauzl = require('yauzl');
+const {
+  MAX_FILE_SIZE,
+  isAllowedMimeType,
+  mimeTypeForFileName,
+  invalidTypeError,
+  invalidFileNameReason
+} = require('../config/fileTypes');
+const {
+  ZIP_IMPORT_MAX_ENTRIES,
+  ZIP_IMPORT_MAX_BYTES,
+  ZIP_IMPORT_MAX_RATIO,
+  NESTED_ARCHIVE_EXTENSIONS
+} = require('../config/archive');
+
+// Ratios are only checked above this size; small, very repetitive files are harmless
+const RATIO_CHECK_MIN_BYTES = 1024 * 1024;
+
+/**
+ * Error that rejects the whole import (mapped to `status` by the controller)
+ */
+const importError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Folders and files added by archivers rather than by the sender
+ */
+const isArchiverNoise = (entryPath) => {
+  return entryPath.endsWith('/')
+    || entryPath.startsWith('__MACOSX/')
+    || path.posix.basename(entryPath) === '.DS_Store';
+};
+
+/**
+ * Why an entry cannot be imported, or null if it can
+ */
+const rejectEntry = (entry, entryPath) => {
+  if (yauzl.validateFileName(entryPath)) {
+    return 'Unsafe path in archive';
+  }
+
+  // The folders are dropped, so only the base name has to be a valid name
+  const nameProblem = invalidFileNameReason(path.posix.basename(entryPath));
+  if (nameProblem) {
+    return nameProblem;
+  }
+
+  if (entry.isEncrypted()) {
+    return 'Encrypted entries are not supported';
+  }
+
+  const extension = path.posix.extname(entryPath).toLowerCase();
+  if (NESTED_ARCHIVE_EXTENSIONS.includes(extension)) {
+    return 'Nested archives are not allowed';
+  }
+
+  const mimeType = mimeTypeForFileName(entryPath);
+  if (!mimeType || !isAllowedMimeType(mimeType)) {
+    return invalidTypeError(extension || 'unknown').message;
+  }
+
+  if (entry.uncompressedSize > MAX_FILE_SIZE) {
+    return `File too large. Maximum size is ${Math.round(MAX_FILE_SIZE / 1024 / 1024)}MB`;
+  }
+
+  if (entry.uncompressedSize > RATIO_CHECK_MIN_BYTES
+    && entry.uncompressedSize > entry.compressedSize * ZIP_IMPORT_MAX_RATIO) {
+    return 'Compression ratio too high (possible zip bomb)';
+  }
+
+  return null;
+};
+
+/**
+ * Open a ZIP saved at `filePath` and sort its entries.
+ *
+ * Resolves with { zipfile, entries, rejected }: `entries` can be imported
+ * ({ entry, path, name, mimeType }), `rejected` lists the others as
+ * { filename, error }. Throws an importError if the file is not a ZIP or
+ * the archive as a whole is too big. Close `zipfile` when done.
+ */
+const openZipImport = async (filePath) => {
+  let zipfile;
+  try {
+    // Names are decoded here so a bad one rejects its entry, not the archive
+    zipfile = await yauzl.openPromise(filePath, { decodeStrings: false, autoClose: false });
+  } catch (error) {
+    throw importError(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  const entries = [];
+  const rejected = [];
+  let totalBytes = 0;
+
+  try {
+    for await (const entry of zipfile.eachEntry()) {
+      const entryPath = yauzl.getFileNameLowLevel(
+        entry.generalPurposeBitFlag,
+        entry.fileNameRaw,
+        entry.extraFields,
+        false
+      );
+
+      if (isArchiverNoise(entryPath)) continue;
+
+      if (entries.length + rejected.length >= ZIP_IMPORT_MAX_ENTRIES) {
+        throw importError(`ZIP archives can contain at most ${ZIP_IMPORT_MAX_ENTRIES} files`);
+      }
+
+      const reason = rejectEntry(entry, entryPath);
+      if (reason) {
+        rejected.push({ filename: entryPath, error: reason });
+        continue;
+      }
+
+      totalBytes += entry.uncompressedSize;
+      if (totalBytes > ZIP_IMPORT_MAX_BYTES) {
+        throw importError(`ZIP contents exceed the ${Math.round(ZIP_IMPORT_MAX_BYTES / 1024 / 1024)}MB import limit`, 413);
+      }
+
+      entries.push({
+        entry,
+        path: entryPath,
+        name: path.posix.basename(entryPath),
+        mimeType: mimeTypeForFileName(entryPath)
+      });
+    }
+  } catch (error) {
+    zipfile.close();
+    throw error.status ? error : importError(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  return { zipfile, entries, rejected };
+};
+
+module.exports = {
+  openZipImport
+};
@@ -0,0 +1,116 @@
+/**
+ * ZIP download tests
+ * Entry naming, the manifest, and streaming stored files into a ZIP
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const yauzl = require('yauzl');
+const { resetGridFS } = require('./helpers/gridfs');
+const { uploadToGridFS } = require('../config/gridfs');
+const { MANIFEST_NAME, uniqueEntryName, planArchive, streamArchive } = require('../services/archive');
+
+const storeFile = async (originalName, content, extra = {}) => {
+  const stored = await uploadToGridFS(Buffer.from(content), originalName);
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    originalName,
+    mimeType: 'text/plain',
+    size: stored.length,
+    sha256: stored.sha256,
+    gridfsId: stored.fileId,
+    uploadDate: new Date('2024-05-01T10:00:00Z'),
+    ...extra
+  };
+};
+
+/**
+ * Stream an archive plan and read the resulting ZIP back as { name: content }
+ */
+const buildArchive = async (plan) => {
+  const res = new PassThrough();
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+
+  await streamArchive(res, plan);
+  if (!res.readableEnded) await new Promise(resolve => res.on('end', resolve));
+
+  const zipfile = await yauzl.fromBufferPromise(Buffer.concat(chunks));
+  const contents = {};
+
+  for await (const entry of zipfile.eachEntry()) {
+    const stream = await zipfile.openReadStreamPromise(entry);
+    const parts = [];
+    for await (const part of stream) parts.push(part);
+    contents[entry.fileName] = Buffer.concat(parts).toString();
+  }
+
+  return contents;
+};
+
+describe('ZIP downloads', () => {
+  beforeEach(resetGridFS);
+
+  it('gives repeated names a numbered suffix, ignoring case', () => {
+    const used = new Set();
+
+    assert.deepEqual(
+      ['report.pdf', 'Report.pdf', 'report.pdf', 'notes'].map(name => uniqueEntryName(name, used)),
+      ['report.pdf', 'Report (2).pdf', 'report (3).pdf', 'notes']
+    );
+  });
+
+  it('keeps entry names inside the archive', () => {
+    const used = new Set([MANIFEST_NAME]);
+
+    assert.equal(uniqueEntryName('../../etc/passwd', used), '.._.._etc_passwd');
+    assert.equal(uniqueEntryName('..', used), '_');
+    assert.equal(uniqueEntryName('', used), 'file');
+    assert.equal(uniqueEntryName('manifest.json', used), 'manifest (2).json');
+  });
+
+  it('describes every entry and skipped file in the manifest', async () => {
+    const files = [await storeFile('a.txt', 'first'), await storeFile('a.txt', 'second', { tags: ['kyc'] })];
+    const skipped = [{ id: new mongoose.Types.ObjectId(), originalName: 'virus.txt', reason: 'quarantined' }];
+
+    const { entries, manifest } = planArchive(files, { skipped, user: { _id: 'u1', email: 'ana@example.com' } });
+
+    assert.deepEqual(entries.map(entry => entry.name), ['a.txt', 'a (2).txt']);
+    assert.equal(manifest.fileCount, 2);
+    assert.equal(manifest.totalSize, 11);
+    assert.deepEqual(manifest.files[1].tags, ['kyc']);
+    assert.equal(manifest.files[0].sha256, files[0].sha256);
+    assert.deepEqual(manifest.skipped, skipped);
+    assert.deepEqual(manifest.generatedBy, { id: 'u1', email: 'ana@example.com' });
+  });
+
+  it('streams the manifest and the decrypted files into a ZIP', async () => {
+    const files = [await storeFile('a.txt', 'first'), await storeFile('b.txt', 'second')];
+
+    const contents = await buildArchive(planArchive(files));
+
+    assert.deepEqual(Object.keys(contents), [MANIFEST_NAME, 'a.txt', 'b.txt']);
+    assert.equal(contents['a.txt'], 'first');
+    assert.equal(contents['b.txt'], 'second');
+    assert.equal(JSON.parse(contents[MANIFEST_NAME]).fileCount, 2);
+  });
+
+  it('cuts the response off when a file cannot be read', async () => {
+    const missing = await storeFile('gone.txt', 'lost');
+    missing.gridfsId = new mongoose.Types.ObjectId();
+
+    // The response is cut off with the read error
+    const res = new PassThrough();
+    const cutOff = new Promise(resolve => res.on('error', resolve));
+    res.resume();
+
+    const streaming = streamArchive(res, planArchive([missing])).catch(() => {});
+
+    assert.match((await cutOff).message, /not found/);
+    await streaming;
+    assert.equal(res.destroyed, true);
+  });
+});
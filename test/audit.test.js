@@ -0,0 +1,136 @@
+/**
+ * Audit log tests
+ * Hash chaining of appended events (entries are kept in memory), chain
+ * verification, response outcomes and the append-only model guards
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { GENESIS_HASH } = require('../config/audit');
+const { hashEntry, recordAudit, auditResponse, verifyAuditChain } = require('../services/audit');
+
+let entries;
+
+/**
+ * Chainable stand-in for the queries the audit service runs
+ */
+const query = result => ({
+  sort: () => query(result),
+  select: () => query(result),
+  lean: () => query(result),
+  cursor: () => result(),
+  then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+});
+
+const lastEntry = () => entries.reduce((last, entry) => (!last || entry.seq > last.seq ? entry : last), null);
+
+const request = (user = null) => ({
+  user,
+  ip: '203.0.113.7',
+  get: name => (name === 'User-Agent' ? 'test-agent' : undefined)
+});
+
+describe('audit log', () => {
+  beforeEach(() => {
+    entries = [];
+    mock.restoreAll();
+    mock.method(AuditEvent, 'findOne', () => query(lastEntry));
+    mock.method(AuditEvent, 'find', () => query(() => [...entries].sort((a, b) => a.seq - b.seq)));
+    mock.method(AuditEvent, 'create', async (entry) => {
+      if (entries.some(existing => existing.seq === entry.seq)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      entries.push({ ...entry });
+      return entry;
+    });
+  });
+
+  it('chains entries from the genesis hash', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'ana@example.com', role: 'customer' };
+
+    await recordAudit(request(user), { action: 'file.upload', details: { size: 10 } });
+    await recordAudit(request(user), { action: 'file.download' });
+
+    assert.deepEqual(entries.map(entry => entry.seq), [1, 2]);
+    assert.equal(entries[0].prevHash, GENESIS_HASH);
+    assert.equal(entries[1].prevHash, entries[0].hash);
+    assert.equal(entries[0].hash, hashEntry(entries[0]));
+    assert.equal(entries[0].actorEmail, 'ana@example.com');
+    assert.equal(entries[0].ip, '203.0.113.7');
+  });
+
+  it('appends concurrent events one after another', async () => {
+    await Promise.all(Array.from({ length: 5 }, (_, i) => recordAudit(null, { action: 'file.read', details: { i } })));
+
+    assert.deepEqual(entries.map(entry => entry.seq), [1, 2, 3, 4, 5]);
+    assert.deepEqual(await verifyAuditChain(), { valid: true, checked: 5, lastSeq: 5, lastHash: entries[4].hash });
+  });
+
+  it('retries when another instance appended at the same position', async () => {
+    await recordAudit(null, { action: 'file.read' });
+    // Another server's entry 2 appears after this one read the end of the chain
+    mock.method(AuditEvent, 'findOne', () => {
+      const last = lastEntry();
+      if (last.seq === 1) entries.push({ ...last, seq: 2, prevHash: last.hash, hash: 'other' });
+      return query(() => last);
+    }, { times: 1 });
+
+    await recordAudit(null, { action: 'file.download' });
+
+    assert.equal(entries.length, 3);
+    assert.equal(lastEntry().seq, 3);
+    assert.equal(lastEntry().prevHash, 'other');
+  });
+
+  it('hashes details independently of key order', () => {
+    const entry = { seq: 1, action: 'file.read', prevHash: GENESIS_HASH };
+
+    assert.equal(
+      hashEntry({ ...entry, details: { a: 1, b: { c: 2, d: 3 } } }),
+      hashEntry({ ...entry, details: { b: { d: 3, c: 2 }, a: 1 } })
+    );
+  });
+
+  it('detects edited and missing entries', async () => {
+    for (const action of ['file.upload', 'file.read', 'file.download']) {
+      await recordAudit(null, { action });
+    }
+
+    entries[1].action = 'file.delete';
+    assert.deepEqual(await verifyAuditChain(), {
+      valid: false, checked: 1, brokenAt: 2, reason: 'Entry content does not match its hash'
+    });
+
+    entries.splice(1, 1);
+    assert.deepEqual(await verifyAuditChain(), {
+      valid: false, checked: 1, brokenAt: 2, reason: 'Entry 2 is missing'
+    });
+  });
+
+  it('records response outcomes when the response closes', async () => {
+    const respond = async (statusCode, writableFinished = true) => {
+      const res = Object.assign(new EventEmitter(), { statusCode, writableFinished });
+      auditResponse(request(), res, { action: 'file.download', details: { range: false } });
+      res.emit('close');
+      await new Promise(resolve => setImmediate(resolve));
+      return lastEntry();
+    };
+
+    assert.equal((await respond(200)).outcome, 'success');
+    assert.equal((await respond(403)).outcome, 'denied');
+    assert.equal((await respond(500)).outcome, 'failure');
+
+    const aborted = await respond(200, false);
+    assert.equal(aborted.outcome, 'failure');
+    assert.deepEqual(aborted.details, { range: false, aborted: true });
+  });
+
+  it('refuses to change or remove stored entries', async () => {
+    await assert.rejects(AuditEvent.updateOne({ seq: 1 }, { action: 'file.delete' }).exec(), /append-only/);
+    await assert.rejects(AuditEvent.deleteMany({}).exec(), /append-only/);
+    await assert.rejects(AuditEvent.hydrate({ seq: 1, action: 'file.read' }).save({ validateBeforeSave: false }), /append-only/);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tags and Custom Fields tests
+ * Normalising labels from JSON and multipart input, and the typed values
+ * a query-string value can match
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_TAGS, MAX_TAG_LENGTH, MAX_CUSTOM_FIELDS, MAX_CUSTOM_FIELD_VALUE_LENGTH } = require('../config/fileTypes');
+const { normalizeTags, normalizeCustomFields, customFieldQueryValues } = require('../utils/customFields');
+
+describe('normalizeTags', () => {
+  it('trims, lower-cases and de-duplicates a list', () => {
+    assert.deepEqual(normalizeTags([' Renewal ', 'renewal', 'KYC']), ['renewal', 'kyc']);
+  });
+
+  it('accepts comma-separated and JSON strings from multipart forms', () => {
+    assert.deepEqual(normalizeTags('renewal, 2026,,'), ['renewal', '2026']);
+    assert.deepEqual(normalizeTags('["Renewal", "2026"]'), ['renewal', '2026']);
+    assert.deepEqual(normalizeTags(''), []);
+  });
+
+  it('rejects anything but a list of strings', () => {
+    assert.throws(() => normalizeTags({ tag: 'renewal' }), /Tags must be a list/);
+    assert.throws(() => normalizeTags('["renewal"'), /Tags must be a list/);
+    assert.throws(() => normalizeTags(['renewal', 7]), /Each tag must be a non-empty string/);
+    assert.throws(() => normalizeTags(['  ']), /Each tag must be a non-empty string/);
+  });
+
+  it('enforces the tag count and length limits', () => {
+    assert.throws(() => normalizeTags(Array.from({ length: MAX_TAGS + 1 }, (_, i) => `t${i}`)), /at most/);
+    assert.throws(() => normalizeTags(['x'.repeat(MAX_TAG_LENGTH + 1)]), /at most/);
+    assert.equal(normalizeTags(['x'.repeat(MAX_TAG_LENGTH)]).length, 1);
+  });
+});
+
+describe('normalizeCustomFields', () => {
+  it('infers types from the object shorthand', () => {
+    assert.deepEqual(normalizeCustomFields({ customerId: 'C-1042', amount: 12.5, verified: true }), [
+      { key: 'customerId', type: 'string', value: 'C-1042' },
+      { key: 'amount', type: 'number', value: 12.5 },
+      { key: 'verified', type: 'boolean', value: true }
+    ]);
+  });
+
+  it('coerces values in the explicit form, including dates', () => {
+    assert.deepEqual(normalizeCustomFields([
+      { key: 'issuedOn', type: 'date', value: '2024-03-01' },
+      { key: 'pages', type: 'number', value: '3' },
+      { key: 'original', type: 'boolean', value: 'false' },
+      { key: 'reference', type: 'string', value: 42 }
+    ]), [
+      { key: 'issuedOn', type: 'date', value: new Date('2024-03-01') },
+      { key: 'pages', type: 'number', value: 3 },
+      { key: 'original', type: 'boolean', value: false },
+      { key: 'reference', type: 'string', value: '42' }
+    ]);
+  });
+
+  it('parses JSON strings from multipart forms', () => {
+    assert.deepEqual(normalizeCustomFields('{"country":" NL "}'), [{ key: 'country', type: 'string', value: 'NL' }]);
+    assert.throws(() => normalizeCustomFields('{country: NL}'), /must be a JSON object or list/);
+  });
+
+  it('rejects invalid and duplicate keys', () => {
+    assert.throws(() => normalizeCustomFields({ '1st': 'x' }), /Metadata keys must start with a letter/);
+    assert.throws(() => normalizeCustomFields({ 'a.b': 'x' }), /Metadata keys must start with a letter/);
+    assert.throws(() => normalizeCustomFields([{ key: 'a', value: 'x' }, { key: 'a', value: 'y' }]), /Duplicate metadata key: a/);
+  });
+
+  it('rejects values that do not fit their type', () => {
+    assert.throws(() => normalizeCustomFields([{ key: 'pages', type: 'number', value: 'three' }]), /pages must be a valid number/);
+    assert.throws(() => normalizeCustomFields([{ key: 'pages', type: 'number', value: '' }]), /pages must be a valid number/);
+    assert.throws(() => normalizeCustomFields([{ key: 'ok', type: 'boolean', value: 'yes' }]), /ok must be a valid boolean/);
+    assert.throws(() => normalizeCustomFields([{ key: 'on', type: 'date', value: 'soon' }]), /on must be a valid date/);
+    assert.throws(() => normalizeCustomFields([{ key: 'note', type: 'string', value: '  ' }]), /note must be a valid string/);
+    assert.throws(() => normalizeCustomFields([{ key: 'note', value: { nested: true } }]), /note must be a valid string/);
+    assert.throws(() => normalizeCustomFields([{ key: 'x', type: 'object', value: 'y' }]), /type for x must be one of/);
+  });
+
+  it('enforces the field count and value length limits', () => {
+    const tooMany = Object.fromEntries(Array.from({ length: MAX_CUSTOM_FIELDS + 1 }, (_, i) => [`f${i}`, i]));
+
+    assert.throws(() => normalizeCustomFields(tooMany), /cannot have more than/);
+    assert.throws(() => normalizeCustomFields({ note: 'x'.repeat(MAX_CUSTOM_FIELD_VALUE_LENGTH + 1) }), /cannot exceed/);
+  });
+
+  it('rejects input that is neither an object nor a list', () => {
+    assert.throws(() => normalizeCustomFields(7), /must be a JSON object or list/);
+    assert.throws(() => normalizeCustomFields(null), /must be a JSON object or list/);
+  });
+});
+
+describe('customFieldQueryValues', () => {
+  it('matches a number as both string and number', () => {
+    assert.deepEqual(customFieldQueryValues('12'), ['12', 12]);
+  });
+
+  it('matches true and false as strings and booleans', () => {
+    assert.deepEqual(customFieldQueryValues('true'), ['true', true]);
+  });
+
+  it('only treats ISO-looking values as dates', () => {
+    assert.deepEqual(customFieldQueryValues('2024-03-01'), ['2024-03-01', new Date('2024-03-01')]);
+    assert.deepEqual(customFieldQueryValues('March 1'), ['March 1']);
+  });
+
+  it('matches nothing for a blank value', () => {
+    assert.deepEqual(customFieldQueryValues('  '), []);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Content deduplication tests
+ * Identical uploads share one GridFS object whose reference count follows
+ * the records using it: deleting a file (with its versions) releases one
+ * reference per use, and the content goes with the last one.
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { objects, resetGridFS, storedObject } = require('./helpers/gridfs');
+const { uploadToGridFS, releaseGridFSFile } = require('../config/gridfs');
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const { destroyFile } = require('../services/fileRemoval');
+
+const store = (content, options = { deduplicate: true }) => uploadToGridFS(Buffer.from(content), 'notes.txt', options);
+
+describe('content deduplication', () => {
+  beforeEach(() => {
+    resetGridFS();
+    mock.method(File, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(ShareLink, 'deleteMany', async () => ({ deletedCount: 0 }));
+  });
+
+  it('reuses the stored object for a duplicate upload', async () => {
+    const first = await store('same content');
+    const second = await store('same content');
+
+    assert.equal(first.deduplicated, false);
+    assert.equal(second.deduplicated, true);
+    assert.equal(String(second.fileId), String(first.fileId));
+    assert.equal(second.sha256, first.sha256);
+    assert.equal(storedObject(first.fileId).metadata.refCount, 2);
+    assert.equal(objects.size, 1);
+  });
+
+  it('keeps separate copies when deduplication is not requested', async () => {
+    const first = await store('same content');
+    const second = await store('same content', {});
+
+    assert.notEqual(String(second.fileId), String(first.fileId));
+    assert.equal(storedObject(first.fileId).metadata.refCount, 1);
+    assert.equal(objects.size, 2);
+  });
+
+  it('deletes the content with its last reference', async () => {
+    const first = await store('same content');
+    await store('same content');
+
+    await releaseGridFSFile(first.fileId);
+    assert.equal(storedObject(first.fileId).metadata.refCount, 1);
+
+    await releaseGridFSFile(first.fileId);
+    assert.equal(objects.size, 0);
+
+    await assert.doesNotReject(releaseGridFSFile(first.fileId));
+  });
+
+  it('releases the current content and every version when a file is deleted', async () => {
+    const shared = await store('current content');
+    const old = await store('old content');
+    await store('current content');
+
+    const fileId = new mongoose.Types.ObjectId();
+    await destroyFile({
+      _id: fileId,
+      gridfsId: shared.fileId,
+      versions: [{ number: 1, gridfsId: old.fileId }]
+    });
+
+    assert.deepEqual(File.deleteOne.mock.calls[0].arguments[0], { _id: fileId });
+    assert.equal(storedObject(old.fileId), undefined);
+    assert.equal(storedObject(shared.fileId).metadata.refCount, 1);
+  });
+
+  it('releases one reference per version sharing the same content', async () => {
+    const original = await store('content');
+    await store('other content');
+    const reuploaded = await store('content');
+
+    await destroyFile({
+      _id: new mongoose.Types.ObjectId(),
+      gridfsId: reuploaded.fileId,
+      versions: [{ number: 1, gridfsId: original.fileId }]
+    });
+
+    assert.equal(storedObject(original.fileId), undefined);
+    assert.equal(objects.size, 1);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * GridFS download stream tests
+ * Decrypted downloads (whole files and ranges) and clean-up of the
+ * GridFS read stream when the consumer goes away or decryption fails
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { once } = require('events');
+const { resetGridFS, storedObject, downloads } = require('./helpers/gridfs');
+const { uploadToGridFS, getDownloadStream } = require('../config/gridfs');
+
+const CONTENT = crypto.randomBytes(600 * 1024);
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('GridFS download streams', () => {
+  let fileId;
+
+  beforeEach(async () => {
+    resetGridFS();
+    ({ fileId } = await uploadToGridFS(CONTENT, 'data.bin'));
+  });
+
+  it('decrypts the whole file', async () => {
+    assert.deepEqual(await collect(getDownloadStream(fileId)), CONTENT);
+  });
+
+  it('decrypts a range', async () => {
+    const range = await collect(getDownloadStream(fileId, { start: 70000, end: 300000 }));
+    assert.deepEqual(range, CONTENT.subarray(70000, 300000));
+  });
+
+  it('destroys the GridFS stream when the consumer destroys the output', async () => {
+    const output = getDownloadStream(fileId);
+    await once(output, 'data');
+
+    output.destroy();
+    await settle();
+
+    assert.equal(downloads.length, 1);
+    assert.equal(downloads[0].destroyed, true);
+  });
+
+  it('fails the output and destroys the GridFS stream on tampered content', async () => {
+    storedObject(fileId).data[100] ^= 0xff;
+
+    const output = getDownloadStream(fileId);
+    await assert.rejects(collect(output));
+    await settle();
+
+    assert.equal(downloads[0].destroyed, true);
+  });
+
+  it('fails the output when the content is missing', async () => {
+    resetGridFS();
+
+    await assert.rejects(collect(getDownloadStream(fileId)), /not found/);
+  });
+});
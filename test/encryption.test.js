@@ -0,0 +1,192 @@
+/**
+ * Encryption at Rest tests
+ * Segmented AES-GCM streams, decryption from the middle of a file and
+ * data key wrapping across master key rotation
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  SEGMENT_SIZE,
+  TAG_LENGTH,
+  createFileKey,
+  wrapDataKey,
+  unwrapDataKey,
+  segmentCount,
+  plaintextLength,
+  createEncryptStream,
+  createDecryptStream,
+  sealBuffer,
+  openBuffer
+} = require('../config/encryption');
+
+const RECORD_SIZE = SEGMENT_SIZE + TAG_LENGTH;
+const MASTER_KEY = crypto.randomBytes(32).toString('base64');
+
+/**
+ * Run a buffer through a transform (fed in uneven pieces) and collect the output
+ */
+const runThrough = async (transform, input, pieceSize = 10000) => {
+  const pieces = [];
+  for (let offset = 0; offset < input.length; offset += pieceSize) {
+    pieces.push(input.subarray(offset, offset + pieceSize));
+  }
+
+  const output = [];
+  await pipeline(Readable.from(pieces), transform, async (source) => {
+    for await (const chunk of source) output.push(chunk);
+  });
+  return Buffer.concat(output);
+};
+
+const encrypt = ({ dataKey, noncePrefix }, plaintext) => {
+  return runThrough(createEncryptStream(dataKey, noncePrefix), plaintext);
+};
+
+const decrypt = ({ dataKey, noncePrefix }, ciphertext, options) => {
+  return runThrough(createDecryptStream(dataKey, noncePrefix, options), ciphertext);
+};
+
+describe('encryption', () => {
+  beforeEach(() => {
+    process.env.ENCRYPTION_MASTER_KEY = MASTER_KEY;
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+  });
+
+  describe('segmented streams', () => {
+    it('round-trips content spanning several segments', async () => {
+      const key = createFileKey();
+      const plaintext = crypto.randomBytes(SEGMENT_SIZE * 3 + 1234);
+
+      const ciphertext = await encrypt(key, plaintext);
+
+      assert.equal(ciphertext.length, plaintext.length + 4 * TAG_LENGTH);
+      assert.equal(segmentCount(ciphertext.length), 4);
+      assert.equal(plaintextLength(ciphertext.length), plaintext.length);
+      assert.deepEqual(await decrypt(key, ciphertext, { totalSegments: 4 }), plaintext);
+    });
+
+    it('round-trips content that is an exact number of segments', async () => {
+      const key = createFileKey();
+      const plaintext = crypto.randomBytes(SEGMENT_SIZE * 2);
+
+      const ciphertext = await encrypt(key, plaintext);
+
+      assert.equal(segmentCount(ciphertext.length), 2);
+      assert.deepEqual(await decrypt(key, ciphertext, { totalSegments: 2 }), plaintext);
+    });
+
+    it('stores empty content as one authenticated segment', async () => {
+      const key = createFileKey();
+
+      const ciphertext = await encrypt(key, Buffer.alloc(0));
+
+      assert.equal(ciphertext.length, TAG_LENGTH);
+      assert.equal(plaintextLength(ciphertext.length), 0);
+      assert.equal((await decrypt(key, ciphertext, { totalSegments: 1 })).length, 0);
+    });
+
+    it('rejects altered ciphertext', async () => {
+      const key = createFileKey();
+      const ciphertext = await encrypt(key, crypto.randomBytes(SEGMENT_SIZE + 100));
+      ciphertext[SEGMENT_SIZE + TAG_LENGTH + 5] ^= 0x01;
+
+      await assert.rejects(decrypt(key, ciphertext, { totalSegments: 2 }), /failed integrity check/);
+    });
+
+    it('rejects content truncated on a segment boundary', async () => {
+      const key = createFileKey();
+      const ciphertext = await encrypt(key, crypto.randomBytes(SEGMENT_SIZE * 2 + 100));
+      const truncated = ciphertext.subarray(0, 2 * RECORD_SIZE);
+
+      await assert.rejects(
+        decrypt(key, truncated, { totalSegments: segmentCount(truncated.length) }),
+        /failed integrity check/
+      );
+    });
+
+    it('rejects content decrypted with another data key', async () => {
+      const ciphertext = await encrypt(createFileKey(), crypto.randomBytes(1000));
+
+      await assert.rejects(decrypt(createFileKey(), ciphertext, { totalSegments: 1 }), /failed integrity check/);
+    });
+  });
+
+  describe('range decryption', () => {
+    it('decrypts middle segments on their own', async () => {
+      const key = createFileKey();
+      const plaintext = crypto.randomBytes(SEGMENT_SIZE * 3 + 500);
+      const ciphertext = await encrypt(key, plaintext);
+
+      const middle = ciphertext.subarray(RECORD_SIZE, 3 * RECORD_SIZE);
+      const result = await decrypt(key, middle, { firstSegment: 1, totalSegments: 4 });
+
+      assert.deepEqual(result, plaintext.subarray(SEGMENT_SIZE, 3 * SEGMENT_SIZE));
+    });
+
+    it('decrypts from a segment to the end of the file', async () => {
+      const key = createFileKey();
+      const plaintext = crypto.randomBytes(SEGMENT_SIZE * 3 + 500);
+      const ciphertext = await encrypt(key, plaintext);
+
+      const tail = ciphertext.subarray(2 * RECORD_SIZE);
+      const result = await decrypt(key, tail, { firstSegment: 2, totalSegments: 4 });
+
+      assert.deepEqual(result, plaintext.subarray(2 * SEGMENT_SIZE));
+    });
+
+    it('rejects segments given the wrong index', async () => {
+      const key = createFileKey();
+      const ciphertext = await encrypt(key, crypto.randomBytes(SEGMENT_SIZE * 3));
+
+      const second = ciphertext.subarray(RECORD_SIZE, 2 * RECORD_SIZE);
+
+      await assert.rejects(
+        decrypt(key, second, { firstSegment: 0, totalSegments: 3 }),
+        /failed integrity check/
+      );
+    });
+  });
+
+  describe('data keys', () => {
+    it('unwraps a data key after the master key is rotated', () => {
+      const dataKey = crypto.randomBytes(32);
+      const wrapped = wrapDataKey(dataKey);
+
+      process.env.ENCRYPTION_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+      process.env.ENCRYPTION_PREVIOUS_KEYS = MASTER_KEY;
+
+      assert.deepEqual(unwrapDataKey(wrapped), dataKey);
+      assert.notEqual(wrapDataKey(dataKey).keyId, wrapped.keyId);
+    });
+
+    it('refuses a data key wrapped under an unknown master key', () => {
+      const wrapped = wrapDataKey(crypto.randomBytes(32));
+
+      process.env.ENCRYPTION_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+
+      assert.throws(() => unwrapDataKey(wrapped), /is not available/);
+    });
+
+    it('rejects master keys that are not 32 bytes', () => {
+      process.env.ENCRYPTION_MASTER_KEY = crypto.randomBytes(16).toString('base64');
+
+      assert.throws(() => createFileKey(), /32-byte key/);
+    });
+  });
+
+  describe('sealed buffers', () => {
+    it('round-trips and authenticates a buffer', () => {
+      const dataKey = crypto.randomBytes(32);
+      const sealed = sealBuffer(dataKey, Buffer.from('upload chunk'));
+
+      assert.equal(openBuffer(dataKey, sealed).toString(), 'upload chunk');
+
+      sealed[sealed.length - 1] ^= 0x01;
+      assert.throws(() => openBuffer(dataKey, sealed));
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * File name tests
+ * The shared file name rule and the rename validation built on it
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { invalidFileNameReason } = require('../config/fileTypes');
+const { validate, fileUpdateRules } = require('../middleware/validate');
+
+/**
+ * Run the PATCH /api/files/:id rules on `body`; resolves with the 400
+ * body, or null if the request got through
+ */
+const validateUpdate = async (body) => {
+  const req = { body };
+  let rejected = null;
+  const res = {
+    status: () => res,
+    json: (payload) => {
+      rejected = payload;
+      return res;
+    }
+  };
+
+  for (const middleware of validate(fileUpdateRules)) {
+    let passed = false;
+    await middleware(req, res, () => {
+      passed = true;
+    });
+    if (!passed) break;
+  }
+
+  return { rejected, body: req.body };
+};
+
+describe('file names', () => {
+  it('accepts ordinary names', () => {
+    ['passport.pdf', 'Statement März 2026 (final).xlsx', 'a'.repeat(500)].forEach((name) => {
+      assert.equal(invalidFileNameReason(name), null);
+    });
+  });
+
+  it('explains why a name is refused', () => {
+    assert.equal(invalidFileNameReason(42), 'File name must be a string');
+    assert.equal(invalidFileNameReason('   '), 'File name cannot be empty');
+    assert.equal(invalidFileNameReason('a'.repeat(501)), 'File name cannot exceed 500 characters');
+    assert.equal(invalidFileNameReason('../passport.pdf'), 'File name cannot contain slashes or control characters');
+    assert.equal(invalidFileNameReason('C:\\passport.pdf'), 'File name cannot contain slashes or control characters');
+    assert.equal(invalidFileNameReason('pass\u0000port.pdf'), 'File name cannot contain slashes or control characters');
+    assert.equal(invalidFileNameReason('<svg onload=alert(1)>.pdf'), 'File name cannot contain < or >');
+  });
+
+  it('applies the same rule to renames', async () => {
+    const refused = await validateUpdate({ originalName: 'report<script>.pdf' });
+    assert.deepEqual(refused.rejected.errors, [{ field: 'originalName', message: 'File name cannot contain < or >' }]);
+
+    const renamed = await validateUpdate({ originalName: '  renewal.pdf ' });
+    assert.equal(renamed.rejected, null);
+    assert.equal(renamed.body.originalName, 'renewal.pdf');
+  });
+});
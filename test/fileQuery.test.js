@@ -0,0 +1,155 @@
+/**
+ * File Listing Query Builder tests
+ * Filters, sorting, limits and keyset cursors
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { DEFAULT_LIMIT, MAX_LIMIT, buildFileListQuery, encodeCursor } = require('../utils/fileQuery');
+
+describe('buildFileListQuery', () => {
+  describe('defaults', () => {
+    it('lists newest uploads first', () => {
+      const query = buildFileListQuery();
+
+      assert.deepEqual(query.filter, {});
+      assert.equal(query.pageFilter, query.filter);
+      assert.deepEqual(query.sort, { uploadDate: -1, _id: -1 });
+      assert.equal(query.limit, DEFAULT_LIMIT);
+    });
+
+    it('sorts names alphabetically unless an order is given', () => {
+      assert.deepEqual(buildFileListQuery({ sort: 'originalName' }).sort, { originalName: 1, _id: 1 });
+      assert.deepEqual(buildFileListQuery({ sort: 'originalName', order: 'desc' }).sort, { originalName: -1, _id: -1 });
+    });
+  });
+
+  describe('filters', () => {
+    it('turns comma lists into $in conditions', () => {
+      const { filter } = buildFileListQuery({
+        status: 'pending, approved',
+        category: 'passport,id_front',
+        mimeType: 'application/pdf'
+      });
+
+      assert.deepEqual(filter.status, { $in: ['pending', 'approved'] });
+      assert.deepEqual(filter.category, { $in: ['passport', 'id_front'] });
+      assert.deepEqual(filter.mimeType, { $in: ['application/pdf'] });
+    });
+
+    it('rejects unknown statuses', () => {
+      assert.throws(() => buildFileListQuery({ status: 'pending,lost' }), /Invalid status: lost/);
+    });
+
+    it('requires every tag, compared in lower case', () => {
+      assert.deepEqual(buildFileListQuery({ tag: 'Renewal,2026' }).filter.tags, { $all: ['renewal', '2026'] });
+    });
+
+    it('builds size and date ranges', () => {
+      const { filter } = buildFileListQuery({ minSize: '0', maxSize: '1024', from: '2026-01-01', to: '2026-02-01T12:00:00Z' });
+
+      assert.deepEqual(filter.size, { $gte: 0, $lte: 1024 });
+      assert.deepEqual(filter.uploadDate, { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01T12:00:00Z') });
+    });
+
+    it('rejects invalid sizes and dates', () => {
+      assert.throws(() => buildFileListQuery({ minSize: '-1' }), /minSize must be a non-negative integer/);
+      assert.throws(() => buildFileListQuery({ maxSize: '1.5' }), /maxSize must be a non-negative integer/);
+      assert.throws(() => buildFileListQuery({ from: 'yesterday' }), /from must be a valid date/);
+    });
+
+    it('searches text only when q is not blank', () => {
+      assert.deepEqual(buildFileListQuery({ q: ' passport ' }).filter.$text, { $search: 'passport' });
+      assert.equal(buildFileListQuery({ q: '   ' }).filter.$text, undefined);
+    });
+
+    it('matches custom fields by any value the query could stand for', () => {
+      const { filter } = buildFileListQuery({ meta: { customerId: '1042', country: '' } });
+
+      assert.deepEqual(filter.metadata, {
+        $all: [
+          { $elemMatch: { key: 'customerId', value: { $in: ['1042', 1042] } } },
+          { $elemMatch: { key: 'country' } }
+        ]
+      });
+    });
+
+    it('matches any of several values for one custom field', () => {
+      const { filter } = buildFileListQuery({ meta: { verified: ['true', 'false'] } });
+
+      assert.deepEqual(filter.metadata.$all[0].$elemMatch.value, { $in: ['true', true, 'false', false] });
+    });
+
+    it('rejects malformed custom field filters', () => {
+      assert.throws(() => buildFileListQuery({ meta: 'customerId' }), /meta must be given as meta\[key\]=value/);
+      assert.throws(() => buildFileListQuery({ meta: { '$where': '1' } }), /Invalid metadata key/);
+    });
+  });
+
+  describe('sorting and limits', () => {
+    it('rejects unknown sort fields and orders', () => {
+      assert.throws(() => buildFileListQuery({ sort: 'owner' }), /Invalid sort: owner/);
+      assert.throws(() => buildFileListQuery({ order: 'up' }), /Invalid order/);
+    });
+
+    it('caps the page size', () => {
+      assert.equal(buildFileListQuery({ limit: '5' }).limit, 5);
+      assert.equal(buildFileListQuery({ limit: String(MAX_LIMIT + 1) }).limit, MAX_LIMIT);
+    });
+
+    it('rejects page sizes below one', () => {
+      assert.throws(() => buildFileListQuery({ limit: '0' }), /limit must be a positive integer/);
+      assert.throws(() => buildFileListQuery({ limit: 'all' }), /limit must be a positive integer/);
+    });
+  });
+
+  describe('cursors', () => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      uploadDate: new Date('2026-03-04T05:06:07Z'),
+      size: 2048,
+      originalName: 'passport.pdf'
+    };
+
+    it('continues after the last document of a descending page', () => {
+      const cursor = encodeCursor(doc, 'uploadDate', 'desc');
+      const { pageFilter } = buildFileListQuery({ status: 'pending', cursor });
+
+      assert.deepEqual(pageFilter, {
+        status: { $in: ['pending'] },
+        $and: [{
+          $or: [
+            { uploadDate: { $lt: doc.uploadDate } },
+            { uploadDate: doc.uploadDate, _id: { $lt: doc._id } }
+          ]
+        }]
+      });
+    });
+
+    it('continues after the last document of an ascending page', () => {
+      const cursor = encodeCursor(doc, 'size', 'asc');
+      const { filter, pageFilter } = buildFileListQuery({ sort: 'size', order: 'asc', cursor });
+
+      assert.deepEqual(filter, {});
+      assert.deepEqual(pageFilter.$and[0].$or, [
+        { size: { $gt: 2048 } },
+        { size: 2048, _id: { $gt: doc._id } }
+      ]);
+    });
+
+    it('rejects a cursor from another sort order', () => {
+      const cursor = encodeCursor(doc, 'size', 'desc');
+
+      assert.throws(() => buildFileListQuery({ cursor }), /Cursor does not match the requested sort order/);
+      assert.throws(() => buildFileListQuery({ sort: 'size', order: 'asc', cursor }), /Cursor does not match/);
+    });
+
+    it('rejects tampered cursors', () => {
+      const forged = Buffer.from(JSON.stringify({ s: 'uploadDate', o: 'desc', v: 1, id: 'nope' })).toString('base64url');
+
+      assert.throws(() => buildFileListQuery({ cursor: 'not-a-cursor' }), /Invalid cursor/);
+      assert.throws(() => buildFileListQuery({ cursor: forged }), /Invalid cursor/);
+    });
+  });
+});
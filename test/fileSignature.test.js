@@ -0,0 +1,121 @@
+/**
+ * Content-Based File Type Detection tests
+ * Magic-byte detection and the upload sniffer stream
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { SNIFF_LENGTH, detectFileType, createTypeSniffer } = require('../utils/fileSignature');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const OLE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0x00]);
+
+/**
+ * A ZIP local file header for an entry called `name`
+ */
+const zipWith = (name) => Buffer.concat([
+  Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  Buffer.alloc(26),
+  Buffer.from(name, 'latin1')
+]);
+
+/**
+ * Stream `chunks` through a sniffer for `declaredType`; resolves with the
+ * sniffer and everything it passed on
+ */
+const sniff = async (declaredType, chunks) => {
+  const sniffer = createTypeSniffer(declaredType);
+  const output = [];
+
+  await pipeline(Readable.from(chunks), sniffer, async (source) => {
+    for await (const chunk of source) output.push(chunk);
+  });
+
+  return { sniffer, output: Buffer.concat(output) };
+};
+
+describe('detectFileType', () => {
+  it('recognises images by their signatures', () => {
+    assert.deepEqual(detectFileType(JPEG), { mimeType: 'image/jpeg', matches: ['image/jpeg', 'image/jpg'] });
+    assert.equal(detectFileType(PNG).mimeType, 'image/png');
+    assert.equal(detectFileType(Buffer.from('GIF89a\x01\x00')).mimeType, 'image/gif');
+    assert.equal(detectFileType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ')).mimeType, 'image/webp');
+  });
+
+  it('does not take a RIFF file for WebP without the WEBP marker', () => {
+    const wave = Buffer.from('RIFF\x00\x00\x00\x00WAVEfmt ', 'latin1');
+    assert.equal(detectFileType(wave), null);
+  });
+
+  it('recognises PDFs', () => {
+    assert.equal(detectFileType(Buffer.from('%PDF-1.7\n')).mimeType, 'application/pdf');
+  });
+
+  it('matches legacy Office documents to both .doc and .xls', () => {
+    assert.deepEqual(detectFileType(OLE).matches, ['application/msword', 'application/vnd.ms-excel']);
+  });
+
+  it('tells Word and Excel documents apart by their part names', () => {
+    assert.deepEqual(detectFileType(zipWith('word/document.xml')), { mimeType: DOCX, matches: [DOCX] });
+    assert.deepEqual(detectFileType(zipWith('xl/workbook.xml')), { mimeType: XLSX, matches: [XLSX] });
+    assert.deepEqual(detectFileType(zipWith('[Content_Types].xml')).matches, [DOCX, XLSX]);
+  });
+
+  it('does not accept a plain ZIP as any document type', () => {
+    assert.deepEqual(detectFileType(zipWith('setup.exe')), { mimeType: 'application/zip', matches: [] });
+  });
+
+  it('accepts UTF-8 text as plain text or CSV', () => {
+    assert.deepEqual(detectFileType(Buffer.from('name,amount\nJosé,12.50\n')).matches, ['text/plain', 'text/csv']);
+  });
+
+  it('accepts a multi-byte character cut off at the end of the sample', () => {
+    const text = Buffer.from('Grüße');
+    assert.equal(detectFileType(text.subarray(0, text.length - 1)).mimeType, 'text/plain');
+  });
+
+  it('returns null for unrecognised binary content', () => {
+    assert.equal(detectFileType(Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00])), null);
+    assert.equal(detectFileType(Buffer.from([0xc3, 0x28, 0x41])), null);
+  });
+});
+
+describe('createTypeSniffer', () => {
+  it('passes matching content through unchanged', async () => {
+    const content = Buffer.concat([JPEG, Buffer.alloc(SNIFF_LENGTH * 2, 0xab)]);
+    const chunks = [content.subarray(0, 3), content.subarray(3, 5000), content.subarray(5000)];
+
+    const { sniffer, output } = await sniff('image/jpeg', chunks);
+
+    assert.equal(sniffer.detectedMimeType, 'image/jpeg');
+    assert.deepEqual(output, content);
+  });
+
+  it('checks files shorter than the sniff length when they end', async () => {
+    const { sniffer, output } = await sniff('application/pdf', [Buffer.from('%PDF-1.4\n%%EOF\n')]);
+
+    assert.equal(sniffer.detectedMimeType, 'application/pdf');
+    assert.equal(output.toString(), '%PDF-1.4\n%%EOF\n');
+  });
+
+  it('rejects content that does not match the declared type', async () => {
+    await assert.rejects(
+      sniff('application/pdf', [PNG]),
+      (error) => {
+        assert.equal(error.code, 'INVALID_FILE_TYPE');
+        assert.match(error.message, /does not match declared type application\/pdf \(detected image\/png\)/);
+        return true;
+      }
+    );
+  });
+
+  it('rejects unrecognised content', async () => {
+    await assert.rejects(sniff('image/jpeg', [Buffer.from([0x00, 0x01, 0x02])]), /detected unknown content/);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * GridFS storage engine tests
+ * Streaming uploads into GridFS, clean-up of partial objects when a
+ * transform rejects the content, and release of already stored files
+ * when a later part of a multi-file request fails
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const { objects, aborted, resetGridFS, storedObject } = require('./helpers/gridfs');
+const { storeUploadStream } = require('../middleware/gridfsStorage');
+const upload = require('../middleware/upload');
+
+const BOUNDARY = 'test-boundary';
+
+/**
+ * A multipart/form-data request carrying the given file parts
+ */
+const multipartRequest = (parts) => {
+  const body = parts.map(({ field, filename, contentType, content }) => [
+    `--${BOUNDARY}\r\n`,
+    `Content-Disposition: form-data; name="${field}"; filename="${filename}"\r\n`,
+    `Content-Type: ${contentType}\r\n\r\n`,
+    content,
+    '\r\n'
+  ].join('')).join('') + `--${BOUNDARY}--\r\n`;
+
+  const req = Readable.from([Buffer.from(body)]);
+  req.headers = {
+    'content-type': `multipart/form-data; boundary=${BOUNDARY}`,
+    'content-length': String(Buffer.byteLength(body))
+  };
+  req.user = { _id: new mongoose.Types.ObjectId() };
+  return req;
+};
+
+const runMiddleware = (middleware, req) => new Promise((resolve) => {
+  middleware(req, {}, resolve);
+});
+
+describe('GridFS storage engine', () => {
+  beforeEach(resetGridFS);
+
+  it('streams a file into GridFS with its hash and detected type', async () => {
+    const req = { body: { category: 'other' }, user: { _id: new mongoose.Types.ObjectId() } };
+    const stored = await storeUploadStream(req, {
+      stream: Readable.from([Buffer.from('hello world')]),
+      originalname: 'hello.txt',
+      mimetype: 'text/plain'
+    });
+
+    assert.equal(stored.size, 11);
+    assert.equal(stored.detectedMimeType, 'text/plain');
+    assert.equal(stored.sha256, 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9');
+    assert.equal(storedObject(stored.gridfsId).metadata.refCount, 1);
+    assert.equal(storedObject(stored.gridfsId).metadata.category, 'other');
+  });
+
+  it('removes the partial object when a transform rejects the content', async () => {
+    const req = { body: {}, user: { _id: new mongoose.Types.ObjectId() } };
+
+    await assert.rejects(storeUploadStream(req, {
+      stream: Readable.from([Buffer.from('plain text, not a picture')]),
+      originalname: 'photo.png',
+      mimetype: 'image/png'
+    }), { code: 'INVALID_FILE_TYPE' });
+
+    assert.equal(aborted.length, 1);
+    assert.equal(objects.size, 0);
+  });
+
+  it('refuses file names with markup before storing anything', async () => {
+    const req = { body: {}, user: { _id: new mongoose.Types.ObjectId() } };
+
+    await assert.rejects(storeUploadStream(req, {
+      stream: Readable.from([Buffer.from('hello world')]),
+      originalname: '<img src=x onerror=alert(1)>.txt',
+      mimetype: 'text/plain'
+    }), { code: 'INVALID_FILE_NAME', message: 'Invalid file name: File name cannot contain < or >' });
+
+    assert.equal(objects.size, 0);
+  });
+
+  it('releases stored files when a later file in the request fails', async () => {
+    const req = multipartRequest([
+      { field: 'files', filename: 'notes.txt', contentType: 'text/plain', content: 'first file' },
+      { field: 'files', filename: 'photo.png', contentType: 'image/png', content: 'plain text, not a picture' }
+    ]);
+
+    const error = await runMiddleware(upload.array('files', 10), req);
+
+    assert.equal(error.code, 'INVALID_FILE_TYPE');
+    assert.equal(aborted.length, 1);
+    assert.equal(objects.size, 0);
+  });
+
+  it('only drops its own reference to shared content on failure', async () => {
+    const first = await storeUploadStream({ body: {} }, {
+      stream: Readable.from([Buffer.from('first file')]),
+      originalname: 'notes.txt',
+      mimetype: 'text/plain'
+    });
+
+    const req = multipartRequest([
+      { field: 'files', filename: 'copy.txt', contentType: 'text/plain', content: 'first file' },
+      { field: 'files', filename: 'photo.png', contentType: 'image/png', content: 'plain text, not a picture' }
+    ]);
+
+    await runMiddleware(upload.array('files', 10), req);
+
+    assert.equal(objects.size, 1);
+    assert.equal(storedObject(first.gridfsId).metadata.refCount, 1);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * In-memory GridFS for tests
+ * Replaces the driver's GridFSBucket and the uploads.files collection so
+ * storage code runs without a MongoDB server. Require it before anything
+ * that loads config/gridfs.
+ */
+
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const mongoose = require('mongoose');
+
+process.env.ENCRYPTION_MASTER_KEY = process.env.ENCRYPTION_MASTER_KEY || crypto.randomBytes(32).toString('base64');
+
+// Storage code logs every operation. Keep that out of the test report:
+// the Node 20 runner can fail to parse progress lines written to stdout
+// alongside its own messages.
+console.log = () => {};
+
+// Stored objects by id: { _id, filename, length, contentType, metadata, uploadDate, data }
+const objects = new Map();
+// Ids of upload streams that were aborted
+const aborted = [];
+// Every download stream opened, to check they are cleaned up
+const downloads = [];
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => {
+    target[key] = target[key] || {};
+    return target[key];
+  }, doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const equals = (a, b) => (a && typeof a.equals === 'function' ? a.equals(b) : a === b);
+
+/**
+ * The subset of MongoDB query operators the storage code uses
+ */
+const matchesCondition = (value, condition) => {
+  const isOperator = condition && typeof condition === 'object'
+    && !(condition instanceof mongoose.Types.ObjectId)
+    && Object.keys(condition).every(key => key.startsWith('$'));
+
+  if (!isOperator) return equals(value, condition);
+
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$ne': return !equals(value, operand);
+      case '$in': return operand.some(candidate => equals(value, candidate));
+      case '$exists': return (value !== undefined) === operand;
+      case '$gt': return value !== undefined && value > operand;
+      case '$gte': return value !== undefined && value >= operand;
+      case '$lt': return value !== undefined && value < operand;
+      case '$lte': return value !== undefined && value <= operand;
+      case '$not': return !matchesCondition(value, operand);
+      default: throw new Error(`Unsupported operator in fake GridFS: ${op}`);
+    }
+  });
+};
+
+const matches = (doc, query = {}) => {
+  return Object.entries(query).every(([path, condition]) => matchesCondition(getPath(doc, path), condition));
+};
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => setPath(doc, path, (getPath(doc, path) || 0) + amount));
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+};
+
+const findAll = query => [...objects.values()].filter(doc => matches(doc, query));
+
+const cursorOf = (docs) => ({
+  project() { return this; },
+  sort() { return this; },
+  toArray: async () => docs,
+  async *[Symbol.asyncIterator]() { yield* docs; }
+});
+
+const filesCollection = {
+  createIndex: async () => {},
+  find: (query) => cursorOf(findAll(query)),
+  findOne: async query => findAll(query)[0] || null,
+  findOneAndUpdate: async (query, update) => {
+    const doc = findAll(query)[0];
+    if (!doc) return null;
+    applyUpdate(doc, update);
+    return doc;
+  },
+  updateOne: async (query, update) => {
+    const doc = findAll(query)[0];
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  },
+  deleteOne: async (query) => {
+    const doc = findAll(query)[0];
+    if (doc) objects.delete(String(doc._id));
+    return { deletedCount: doc ? 1 : 0 };
+  }
+};
+
+const chunksCollection = {
+  deleteMany: async () => ({ deletedCount: 0 }),
+  aggregate: () => cursorOf([])
+};
+
+class FakeGridFSBucket {
+  openUploadStream(filename, { contentType, metadata } = {}) {
+    const id = new mongoose.Types.ObjectId();
+    const chunks = [];
+
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+      final(callback) {
+        const data = Buffer.concat(chunks);
+        objects.set(String(id), { _id: id, filename, length: data.length, contentType, metadata, uploadDate: new Date(), data });
+        callback();
+      }
+    });
+
+    stream.id = id;
+    stream.abort = async () => {
+      aborted.push(id);
+      objects.delete(String(id));
+    };
+    return stream;
+  }
+
+  find(query) {
+    return cursorOf(findAll(query));
+  }
+
+  openDownloadStream(id, { start = 0, end } = {}) {
+    const doc = objects.get(String(id));
+    if (!doc) {
+      const missing = new Readable({ read() {} });
+      process.nextTick(() => missing.destroy(new Error(`FileNotFound: file ${id} was not found`)));
+      return missing;
+    }
+
+    const data = doc.data.subarray(start, end === undefined ? doc.data.length : end);
+    const pieces = [];
+    for (let offset = 0; offset < data.length; offset += 255 * 1024) {
+      pieces.push(data.subarray(offset, offset + 255 * 1024));
+    }
+
+    const stream = Readable.from(pieces);
+    downloads.push(stream);
+    return stream;
+  }
+
+  async delete(id) {
+    if (!objects.delete(String(id))) {
+      throw new Error(`File not found for id ${id}`);
+    }
+  }
+}
+
+// config/gridfs reads GridFSBucket from the driver when it is first loaded
+const driverPath = require.resolve('mongodb');
+require(driverPath);
+require.cache[driverPath].exports = { ...require.cache[driverPath].exports, GridFSBucket: FakeGridFSBucket };
+
+// Transactions: off by default (work(null)); tests can turn them on to
+// check what happens when one is aborted
+const transactions = { enabled: false, aborted: 0 };
+
+const db = require('../../config/db');
+db.ensureConnection = async () => mongoose.connection;
+db.withTransaction = async (work) => {
+  if (!transactions.enabled) return work(null);
+
+  try {
+    return await work({ inTransaction: () => true });
+  } catch (error) {
+    transactions.aborted += 1;
+    throw error;
+  }
+};
+
+const gridfs = require('../../config/gridfs');
+gridfs.initGridFS({
+  db: {
+    collection: name => (name === 'uploads.chunks' ? chunksCollection : filesCollection)
+  }
+});
+
+/**
+ * Forget every stored object and recorded abort
+ */
+const resetGridFS = () => {
+  objects.clear();
+  aborted.length = 0;
+  downloads.length = 0;
+  transactions.enabled = false;
+  transactions.aborted = 0;
+};
+
+/**
+ * The stored object for an id, or undefined
+ */
+const storedObject = id => objects.get(String(id));
+
+module.exports = {
+  objects,
+  aborted,
+  downloads,
+  transactions,
+  resetGridFS,
+  storedObject
+};
@@ -0,0 +1,109 @@
+/**
+ * Photo metadata stripping tests
+ * EXIF/GPS removal and reporting, orientation applied to the pixels,
+ * untouched photos without metadata, and the size limit of the upload stage
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { STRIP_METADATA_MAX_SIZE, shouldStripMetadata } = require('../config/fileTypes');
+const { stripImageMetadata, createMetadataStripper } = require('../utils/imageMetadata');
+
+/**
+ * A 40x20 JPEG, optionally with camera EXIF and an orientation tag
+ */
+const createPhoto = ({ exif, orientation } = {}) => {
+  let image = sharp({ create: { width: 40, height: 20, channels: 3, background: { r: 200, g: 10, b: 10 } } });
+  if (exif) image = image.withExif(exif);
+  if (orientation) image = image.withMetadata({ orientation });
+  return image.jpeg().toBuffer();
+};
+
+/**
+ * Pipeline destination that keeps what it receives in `chunks`
+ */
+const collectInto = chunks => async (source) => {
+  for await (const chunk of source) chunks.push(chunk);
+};
+
+const CAMERA_EXIF = {
+  IFD0: { Make: 'Acme', Model: 'Snap 3000', DateTime: '2024:01:02 03:04:05' }
+};
+
+describe('photo metadata stripping', () => {
+  it('removes EXIF and reports what it revealed', async () => {
+    const { buffer, report } = await stripImageMetadata(await createPhoto({ exif: CAMERA_EXIF }));
+
+    assert.deepEqual(report.removed, ['exif', 'camera', 'timestamp']);
+    assert.equal(report.orientation, 1);
+
+    const metadata = await sharp(buffer).metadata();
+    assert.equal(metadata.format, 'jpeg');
+    assert.equal(metadata.exif, undefined);
+  });
+
+  it('applies the EXIF orientation to the pixels', async () => {
+    const { buffer, report } = await stripImageMetadata(await createPhoto({ orientation: 6 }));
+
+    assert.equal(report.orientation, 6);
+
+    const metadata = await sharp(buffer).metadata();
+    assert.equal(metadata.width, 20);
+    assert.equal(metadata.height, 40);
+    assert.equal(metadata.orientation, undefined);
+  });
+
+  it('returns photos without metadata unchanged', async () => {
+    const photo = await createPhoto();
+    const { buffer, report } = await stripImageMetadata(photo);
+
+    assert.equal(report, null);
+    assert.equal(buffer, photo);
+  });
+
+  it('strips photos in the upload pipeline', async () => {
+    const stripper = createMetadataStripper('image/jpeg');
+    const chunks = [];
+
+    await pipeline(Readable.from([await createPhoto({ exif: CAMERA_EXIF })]), stripper, collectInto(chunks));
+
+    assert.deepEqual(stripper.metadataReport.removed, ['exif', 'camera', 'timestamp']);
+    assert.equal((await sharp(Buffer.concat(chunks)).metadata()).exif, undefined);
+  });
+
+  it('refuses photos larger than the limit', async () => {
+    const oversized = Readable.from([Buffer.alloc(STRIP_METADATA_MAX_SIZE), Buffer.alloc(1)]);
+
+    await assert.rejects(
+      pipeline(oversized, createMetadataStripper('image/jpeg'), collectInto([])),
+      { code: 'IMAGE_TOO_LARGE' }
+    );
+  });
+
+  it('refuses content that is not a readable image', async () => {
+    await assert.rejects(
+      pipeline(Readable.from([Buffer.from('not an image')]), createMetadataStripper('image/jpeg'), collectInto([])),
+      { code: 'INVALID_FILE_TYPE' }
+    );
+  });
+
+  it('strips only the configured categories', () => {
+    const previous = process.env.STRIP_METADATA_CATEGORIES;
+
+    try {
+      process.env.STRIP_METADATA_CATEGORIES = 'passport, id_front';
+      assert.equal(shouldStripMetadata('image/jpeg', 'passport'), true);
+      assert.equal(shouldStripMetadata('image/jpeg', 'utility_bill'), false);
+      assert.equal(shouldStripMetadata('application/pdf', 'passport'), false);
+
+      process.env.STRIP_METADATA_CATEGORIES = 'none';
+      assert.equal(shouldStripMetadata('image/jpeg', 'passport'), false);
+    } finally {
+      if (previous === undefined) delete process.env.STRIP_METADATA_CATEGORIES;
+      else process.env.STRIP_METADATA_CATEGORIES = previous;
+    }
+  });
+});
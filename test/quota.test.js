@@ -0,0 +1,105 @@
+/**
+ * Storage quota tests
+ * Limit resolution, usage and remaining room, and cutting off uploads
+ * that would exceed the quota
+ */
+
+process.env.QUOTA_MAX_BYTES = '1000';
+process.env.QUOTA_MAX_FILES = '3';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const { objects, aborted, resetGridFS } = require('./helpers/gridfs');
+const { resolveQuotaLimits } = require('../config/quota');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const { getQuotaStatus, checkQuota, claimQuota } = require('../services/quota');
+const { storeUploadStream } = require('../middleware/gridfsStorage');
+
+/**
+ * Quota status for a user storing `usedBytes` in `usedFiles` files
+ */
+const quotaFor = async ({ usedBytes = 0, usedFiles = 0, reservedBytes = 0, reservedFiles = 0, own } = {}) => {
+  mock.method(File, 'aggregate', async () => (usedFiles ? [{ bytes: usedBytes, files: usedFiles }] : []));
+  mock.method(UploadSession, 'aggregate', async () => (reservedFiles ? [{ bytes: reservedBytes, files: reservedFiles }] : []));
+
+  return getQuotaStatus({ _id: new mongoose.Types.ObjectId(), quota: own });
+};
+
+const send = (transform, sizes) => pipeline(
+  Readable.from(sizes.map(size => Buffer.alloc(size))),
+  transform,
+  new Writable({ write: (chunk, encoding, callback) => callback() })
+);
+
+describe('storage quotas', () => {
+  beforeEach(() => {
+    resetGridFS();
+    mock.restoreAll();
+  });
+
+  it('uses the defaults unless the user has their own limits', () => {
+    assert.deepEqual(resolveQuotaLimits({}), { maxBytes: 1000, maxFiles: 3 });
+    assert.deepEqual(resolveQuotaLimits({ quota: { maxBytes: 5000 } }), { maxBytes: 5000, maxFiles: 3 });
+    assert.deepEqual(resolveQuotaLimits({ quota: { maxBytes: 0, maxFiles: 0 } }), { maxBytes: null, maxFiles: null });
+  });
+
+  it('counts reserved resumable uploads against what remains', async () => {
+    const quota = await quotaFor({ usedBytes: 600, usedFiles: 1, reservedBytes: 300, reservedFiles: 1 });
+
+    assert.equal(quota.remainingBytes, 100);
+    assert.equal(quota.remainingFiles, 1);
+    assert.equal(checkQuota(quota, { bytes: 100, files: 1 }), null);
+    assert.equal(checkQuota(quota, { bytes: 101 }), 'Storage quota exceeded: 900 B of 1000 B used');
+    assert.equal(checkQuota(quota, { files: 2 }), 'File quota exceeded: 2 of 3 files used');
+  });
+
+  it('never reports negative room', async () => {
+    const quota = await quotaFor({ usedBytes: 5000, usedFiles: 9 });
+
+    assert.equal(quota.remainingBytes, 0);
+    assert.equal(quota.remainingFiles, 0);
+  });
+
+  it('has no limits for unlimited users', async () => {
+    const quota = await quotaFor({ usedBytes: 5000, usedFiles: 9, own: { maxBytes: 0, maxFiles: 0 } });
+
+    assert.equal(quota.remainingBytes, null);
+    assert.equal(checkQuota(quota, { bytes: 1e12, files: 1000 }), null);
+    assert.equal(claimQuota({ quota: { ...quota, addsFiles: true } }), null);
+  });
+
+  it('shares the remaining bytes between the files of one request', async () => {
+    const req = { quota: { ...(await quotaFor({ usedBytes: 400, usedFiles: 1 })), addsFiles: true } };
+
+    await send(claimQuota(req), [300]);
+    await assert.rejects(send(claimQuota(req), [200, 200]), { code: 'QUOTA_EXCEEDED', status: 413 });
+  });
+
+  it('refuses a file beyond the file limit before it is read', async () => {
+    const req = { quota: { ...(await quotaFor({ usedBytes: 10, usedFiles: 2 })), addsFiles: true } };
+
+    claimQuota(req);
+    assert.throws(() => claimQuota(req), { code: 'QUOTA_EXCEEDED', message: /File quota exceeded/ });
+  });
+
+  it('cuts off an upload that exceeds the quota and removes what was written', async () => {
+    const req = {
+      body: {},
+      user: { _id: new mongoose.Types.ObjectId() },
+      quota: { ...(await quotaFor({ usedBytes: 900, usedFiles: 1 })), addsFiles: true }
+    };
+
+    await assert.rejects(storeUploadStream(req, {
+      stream: Readable.from([Buffer.alloc(64, 'a'), Buffer.alloc(64, 'b')]),
+      originalname: 'notes.txt',
+      mimetype: 'text/plain'
+    }), { code: 'QUOTA_EXCEEDED' });
+
+    assert.equal(aborted.length, 1);
+    assert.equal(objects.size, 0);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Rate limiting tests
+ * Allowlist parsing and matching, and per-IP / per-user budgets with the
+ * in-memory counter store
+ */
+
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_UPLOADS = '3';
+process.env.RATE_LIMIT_DELETES = '0';
+process.env.RATE_LIMIT_ALLOWLIST = '10.1.0.0/16, 192.0.2.9, Ops@Example.com';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAllowlist, clientIp, isAllowlisted } = require('../config/rateLimit');
+const { rateLimit } = require('../middleware/rateLimit');
+
+let nextAddress = 1;
+
+/**
+ * A client address no other test uses, so counters start at zero
+ */
+const freshIp = () => `198.51.100.${nextAddress++}`;
+
+/**
+ * Run the middleware and report whether the request got through
+ */
+const hit = async (middleware, req) => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+describe('rate limiting', () => {
+  it('matches allowlisted addresses, ranges, user IDs and e-mails', () => {
+    const allowlist = parseAllowlist('10.0.0.0/8, 2001:db8::/32, 64b7f0c2a1e4f3d2c1b0a998, Ops@Example.com');
+
+    assert.equal(isAllowlisted({ ip: '10.20.30.40' }, allowlist), true);
+    assert.equal(isAllowlisted({ ip: '::ffff:10.1.2.3' }, allowlist), true);
+    assert.equal(isAllowlisted({ ip: '2001:db8::1' }, allowlist), true);
+    assert.equal(isAllowlisted({ ip: '11.0.0.1' }, allowlist), false);
+    assert.equal(isAllowlisted({ ip: '11.0.0.1', user: { _id: '64b7f0c2a1e4f3d2c1b0a998' } }, allowlist), true);
+    assert.equal(isAllowlisted({ ip: '11.0.0.1', user: { _id: 'x', email: 'ops@example.com' } }, allowlist), true);
+    assert.equal(clientIp({ ip: '::ffff:192.0.2.1' }), '192.0.2.1');
+  });
+
+  it('blocks a client once its budget is used up', async () => {
+    const limiter = rateLimit('uploads');
+    const req = { ip: freshIp() };
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await hit(limiter, req)).passed, true);
+    }
+
+    const { passed, res } = await hit(limiter, req);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['RateLimit-Limit'], '3');
+    assert.equal(res.headers['RateLimit-Remaining'], '0');
+    assert.equal(res.headers['Retry-After'], String(res.body.retryAfter));
+    assert.match(res.body.message, /Too many uploads/);
+  });
+
+  it('counts each client address separately', async () => {
+    const limiter = rateLimit('uploads');
+    const first = { ip: freshIp() };
+
+    for (let i = 0; i < 3; i++) await hit(limiter, first);
+
+    assert.equal((await hit(limiter, first)).passed, false);
+    assert.equal((await hit(limiter, { ip: freshIp() })).passed, true);
+  });
+
+  it('limits a user across addresses', async () => {
+    const limiter = rateLimit('uploads');
+    const user = { _id: 'user-across-addresses', email: 'ana@example.com' };
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await hit(limiter, { ip: freshIp(), user })).passed, true);
+    }
+
+    assert.equal((await hit(limiter, { ip: freshIp(), user })).passed, false);
+  });
+
+  it('does not count allowlisted clients', async () => {
+    const limiter = rateLimit('uploads');
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await hit(limiter, { ip: '10.1.4.4' })).passed, true);
+      assert.equal((await hit(limiter, { ip: freshIp(), user: { _id: 'ops', email: 'ops@example.com' } })).passed, true);
+    }
+  });
+
+  it('lets every request through for a disabled group', async () => {
+    const limiter = rateLimit('deletes');
+    const req = { ip: freshIp() };
+
+    for (let i = 0; i < 5; i++) {
+      const { passed, res } = await hit(limiter, req);
+      assert.equal(passed, true);
+      assert.deepEqual(res.headers, {});
+    }
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Retention tests
+ * Policy defaults and overrides, and when a file's expiry date is set
+ * and recomputed
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { DAY_MS, getRetentionPolicy, computeExpiresAt } = require('../config/retention');
+const File = require('../models/File');
+
+const UPLOADED = new Date('2024-03-01T12:00:00Z');
+
+const daysAfter = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * A stored (not new) File record
+ */
+const storedFile = (fields = {}) => File.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  originalName: 'statement.pdf',
+  mimeType: 'application/pdf',
+  size: 100,
+  owner: new mongoose.Types.ObjectId(),
+  gridfsId: new mongoose.Types.ObjectId(),
+  category: 'bank_statement',
+  uploadDate: UPLOADED,
+  expiresAt: daysAfter(UPLOADED, 90),
+  status: 'pending',
+  version: 1,
+  versions: [],
+  ...fields
+});
+
+describe('retention', () => {
+  afterEach(() => {
+    delete process.env.RETENTION_DAYS;
+  });
+
+  it('keeps uncategorised files indefinitely by default', () => {
+    assert.equal(getRetentionPolicy().other, null);
+    assert.equal(computeExpiresAt('other', UPLOADED), null);
+    assert.equal(computeExpiresAt(undefined, UPLOADED), null);
+  });
+
+  it('applies RETENTION_DAYS overrides', () => {
+    process.env.RETENTION_DAYS = 'bank_statement:30, passport:forever, other:365';
+
+    assert.deepEqual(computeExpiresAt('bank_statement', UPLOADED), daysAfter(UPLOADED, 30));
+    assert.equal(computeExpiresAt('passport', UPLOADED), null);
+    assert.deepEqual(computeExpiresAt('other', UPLOADED), daysAfter(UPLOADED, 365));
+
+    process.env.RETENTION_DAYS = 'other:soon';
+    assert.throws(() => getRetentionPolicy(), /Invalid RETENTION_DAYS rule/);
+  });
+
+  it('dates new files from their upload', async () => {
+    const file = new File({
+      originalName: 'bill.pdf',
+      mimeType: 'application/pdf',
+      size: 100,
+      owner: new mongoose.Types.ObjectId(),
+      gridfsId: new mongoose.Types.ObjectId(),
+      category: 'utility_bill',
+      uploadDate: UPLOADED
+    });
+
+    await file.validate();
+    assert.deepEqual(file.expiresAt, daysAfter(UPLOADED, 90));
+  });
+
+  it('recomputes the date when the category changes', async () => {
+    const file = storedFile();
+
+    file.category = 'passport';
+    await file.validate();
+    assert.deepEqual(file.expiresAt, daysAfter(UPLOADED, 5 * 365));
+
+    file.category = 'other';
+    await file.validate();
+    assert.equal(file.expiresAt, null);
+  });
+
+  it('restarts retention when a new version is uploaded', async () => {
+    const file = storedFile();
+
+    file.addVersion({
+      gridfsId: new mongoose.Types.ObjectId(),
+      originalName: 'statement-v2.pdf',
+      mimeType: 'application/pdf',
+      size: 120
+    }, new mongoose.Types.ObjectId());
+    await file.validate();
+
+    assert.deepEqual(file.expiresAt, daysAfter(file.uploadDate, 90));
+    assert.ok(file.expiresAt > daysAfter(UPLOADED, 90));
+  });
+
+  it('leaves the date alone for other changes', async () => {
+    const expiresAt = daysAfter(UPLOADED, 10);
+    const file = storedFile({ expiresAt });
+
+    file.description = 'March statement';
+    await file.validate();
+
+    assert.deepEqual(file.expiresAt, expiresAt);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Review validation tests
+ * The body a review outcome must have before it reaches the workflow
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, reviewRules } = require('../middleware/validate');
+
+/**
+ * Run the POST /api/files/:id/review rules on `body`; resolves with the
+ * 400 body (null if the request got through) and the sanitised body
+ */
+const validateReview = async (body) => {
+  const req = { body };
+  let rejected = null;
+  const res = {
+    status: () => res,
+    json: (payload) => {
+      rejected = payload;
+      return res;
+    }
+  };
+
+  for (const middleware of validate(reviewRules)) {
+    let passed = false;
+    await middleware(req, res, () => {
+      passed = true;
+    });
+    if (!passed) break;
+  }
+
+  return { rejected, body: req.body };
+};
+
+const fieldErrors = result => result.rejected && result.rejected.errors;
+
+describe('review validation', () => {
+  it('accepts a review with a note and reason', async () => {
+    const result = await validateReview({ status: 'rejected', note: ' Photo is blurry ', reason: 'unreadable' });
+
+    assert.equal(result.rejected, null);
+    assert.equal(result.body.note, 'Photo is blurry');
+  });
+
+  it('requires a known status', async () => {
+    assert.deepEqual(fieldErrors(await validateReview({})), [
+      { field: 'status', message: 'Status is required' }
+    ]);
+    assert.deepEqual(fieldErrors(await validateReview({ status: 'done' })), [
+      { field: 'status', message: 'Status must be one of: pending, under_review, approved, rejected, expired' }
+    ]);
+  });
+
+  it('refuses notes and reasons that are not strings', async () => {
+    assert.deepEqual(fieldErrors(await validateReview({ status: 'approved', note: { $gt: '' }, reason: ['x'] })), [
+      { field: 'note', message: 'Note must be a string' },
+      { field: 'reason', message: 'Reason must be a string' }
+    ]);
+  });
+
+  it('limits the length of notes and reasons', async () => {
+    assert.deepEqual(fieldErrors(await validateReview({ status: 'approved', note: 'n'.repeat(2001), reason: 'r'.repeat(501) })), [
+      { field: 'note', message: 'Note cannot exceed 2000 characters' },
+      { field: 'reason', message: 'Reason cannot exceed 500 characters' }
+    ]);
+  });
+
+  it('needs a reason to reject', async () => {
+    assert.deepEqual(fieldErrors(await validateReview({ status: 'rejected', reason: '   ' })), [
+      { field: 'reason', message: 'A rejection reason is required' }
+    ]);
+    assert.equal((await validateReview({ status: 'approved' })).rejected, null);
+  });
+});
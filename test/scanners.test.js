@@ -0,0 +1,145 @@
+/**
+ * Malware scanning tests
+ * Quarantine transitions for each scan outcome: clean, infected, failed
+ * and skipped (scanning disabled, with and without ALLOW_UNSCANNED).
+ * ClamAV results come from the clamd stub in scripts/.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { resetGridFS } = require('./helpers/gridfs');
+const { uploadToGridFS } = require('../config/gridfs');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const freePort = async () => {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  return port;
+};
+
+/**
+ * A new (unsaved) File whose content is stored in GridFS
+ */
+const createFile = async (content) => {
+  const File = require('../models/File');
+  const stored = await uploadToGridFS(Buffer.from(content), 'notes.txt', { contentType: 'text/plain' });
+  const file = new File({
+    originalName: 'notes.txt',
+    mimeType: 'text/plain',
+    size: content.length,
+    owner: new mongoose.Types.ObjectId(),
+    gridfsId: stored.fileId
+  });
+
+  file.save = async function () {
+    await this.validate();
+    return this;
+  };
+  await file.save();
+  return file;
+};
+
+describe('malware scanning', () => {
+  let stub;
+  let scanStoredFile;
+
+  before(async () => {
+    process.env.CLAMAV_HOST = '127.0.0.1';
+    process.env.CLAMAV_PORT = String(await freePort());
+
+    // The stub is a plain script, not a test file for the runner to report on
+    const env = { ...process.env };
+    delete env.NODE_TEST_CONTEXT;
+
+    stub = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'clamd-stub.js')], {
+      env,
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    await once(stub.stdout, 'data');
+
+    ({ scanStoredFile } = require('../services/scanners'));
+  });
+
+  after(() => {
+    stub.kill();
+  });
+
+  beforeEach(() => {
+    resetGridFS();
+    delete process.env.SCANNER;
+    delete process.env.ALLOW_UNSCANNED;
+  });
+
+  it('quarantines new files until they are scanned', async () => {
+    const file = await createFile('hello');
+
+    assert.equal(file.scan.status, 'pending');
+    assert.equal(file.quarantined, true);
+  });
+
+  it('releases files the scanner reports clean', async () => {
+    process.env.SCANNER = 'clamav';
+    const file = await scanStoredFile(await createFile('hello'));
+
+    assert.equal(file.scan.status, 'clean');
+    assert.equal(file.scan.scanner, 'clamav');
+    assert.equal(file.quarantined, false);
+  });
+
+  it('keeps infected files quarantined with their signatures', async () => {
+    process.env.SCANNER = 'clamav';
+    const file = await scanStoredFile(await createFile(`prefix ${EICAR}`));
+
+    assert.equal(file.scan.status, 'infected');
+    assert.deepEqual([...file.scan.signatures], ['Eicar-Test-Signature']);
+    assert.equal(file.quarantined, true);
+  });
+
+  it('quarantines a released file that is rescanned as infected', async () => {
+    process.env.SCANNER = 'none';
+    process.env.ALLOW_UNSCANNED = 'true';
+    const file = await scanStoredFile(await createFile(EICAR));
+    assert.equal(file.quarantined, false);
+
+    process.env.SCANNER = 'clamav';
+    await scanStoredFile(file);
+
+    assert.equal(file.scan.status, 'infected');
+    assert.equal(file.quarantined, true);
+  });
+
+  it('keeps files quarantined when the scan fails', async () => {
+    process.env.SCANNER = 'unknown';
+    const file = await scanStoredFile(await createFile('hello'));
+
+    assert.equal(file.scan.status, 'error');
+    assert.match(file.scan.error, /Unknown SCANNER/);
+    assert.equal(file.quarantined, true);
+  });
+
+  it('keeps unscanned files quarantined when scanning is disabled', async () => {
+    process.env.SCANNER = 'none';
+    const file = await scanStoredFile(await createFile('hello'));
+
+    assert.equal(file.scan.status, 'skipped');
+    assert.equal(file.scan.scanner, 'none');
+    assert.equal(file.quarantined, true);
+  });
+
+  it('releases unscanned files only with ALLOW_UNSCANNED=true', async () => {
+    process.env.SCANNER = 'none';
+    process.env.ALLOW_UNSCANNED = 'true';
+    const file = await scanStoredFile(await createFile('hello'));
+
+    assert.equal(file.scan.status, 'skipped');
+    assert.equal(file.quarantined, false);
+  });
+});
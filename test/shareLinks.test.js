@@ -0,0 +1,193 @@
+/**
+ * Share link tests
+ * Signed tokens, link states, and the password lockout of public share
+ * downloads under concurrent guesses (links are kept in memory)
+ */
+
+const { describe, it, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { resetGridFS } = require('./helpers/gridfs');
+const { uploadToGridFS } = require('../config/gridfs');
+const { SHARE_LINK_MAX_PASSWORD_ATTEMPTS, signShareToken, verifyShareToken } = require('../config/share');
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const { accessShare } = require('../controllers/shareController');
+
+process.env.SHARE_LINK_SECRET = 'share-link-test-secret';
+
+const CONTENT = Buffer.from('shared document');
+const PASSWORD = 's3cret!';
+
+let passwordHash;
+let link;
+let file;
+
+/**
+ * Apply the share link filters used by the controller to the stored link
+ */
+const matchesLink = (filter) => {
+  if (filter.failedAttempts && !(link.failedAttempts < filter.failedAttempts.$lt)) return false;
+  if (filter.revokedAt && link.revokedAt) return false;
+  if (filter.$or && link.maxDownloads !== null && link.downloadCount >= link.maxDownloads) return false;
+  return true;
+};
+
+const applyUpdate = (update) => {
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => { link[field] += amount; });
+  Object.assign(link, update.$set || {});
+};
+
+/**
+ * A fresh copy of the stored link, as a query would return it
+ */
+const readLink = () => {
+  const doc = ShareLink.hydrate({ ...link });
+  return { select: async () => doc, then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject) };
+};
+
+/**
+ * Call accessShare and resolve with the status, JSON body and streamed content
+ */
+const access = (password, token = signShareToken(link._id, link.expiresAt)) => new Promise((resolve) => {
+  const req = {
+    params: { token },
+    body: password === undefined ? {} : { password },
+    method: 'POST',
+    get: () => undefined,
+    accepts: () => 'json'
+  };
+
+  const res = new PassThrough();
+  const chunks = [];
+  res.statusCode = 200;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => resolve({ status: res.statusCode, body });
+  res.set = () => res;
+  res.removeHeader = () => {};
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => resolve({ status: res.statusCode, content: Buffer.concat(chunks) }));
+
+  accessShare(req, res);
+});
+
+describe('share links', () => {
+  before(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(async () => {
+    resetGridFS();
+    const stored = await uploadToGridFS(CONTENT, 'document.pdf');
+
+    file = {
+      _id: new mongoose.Types.ObjectId(),
+      originalName: 'document.pdf',
+      mimeType: 'application/pdf',
+      size: CONTENT.length,
+      gridfsId: stored.fileId,
+      quarantined: false
+    };
+    link = {
+      _id: new mongoose.Types.ObjectId(),
+      file: file._id,
+      createdBy: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      maxDownloads: null,
+      downloadCount: 0,
+      disposition: 'attachment',
+      password: passwordHash,
+      passwordProtected: true,
+      failedAttempts: 0
+    };
+
+    mock.restoreAll();
+    mock.method(ShareLink, 'findById', readLink);
+    mock.method(ShareLink, 'findOneAndUpdate', async (filter, update) => {
+      if (!matchesLink(filter)) return null;
+      applyUpdate(update);
+      return ShareLink.hydrate({ ...link });
+    });
+    mock.method(ShareLink, 'updateOne', async (filter, update) => {
+      applyUpdate(update);
+      return { matchedCount: 1 };
+    });
+    mock.method(File, 'findById', async () => file);
+  });
+
+  it('verifies signed tokens and rejects tampered or expired ones', () => {
+    const token = signShareToken(link._id, link.expiresAt);
+    assert.equal(verifyShareToken(token).id, String(link._id));
+
+    const [id, expires, signature] = token.split('.');
+    assert.equal(verifyShareToken(`${id}.${Number(expires) + 3600}.${signature}`), null);
+    assert.equal(verifyShareToken(signShareToken(link._id, new Date(Date.now() - 1000))), null);
+  });
+
+  it('reports the link state', () => {
+    assert.equal(ShareLink.hydrate(link).getState(), 'active');
+    assert.equal(ShareLink.hydrate({ ...link, downloadCount: 2, maxDownloads: 2 }).getState(), 'exhausted');
+    assert.equal(ShareLink.hydrate({ ...link, failedAttempts: SHARE_LINK_MAX_PASSWORD_ATTEMPTS }).getState(), 'locked');
+    assert.equal(ShareLink.hydrate({ ...link, revokedAt: new Date() }).getState(), 'revoked');
+  });
+
+  it('serves the file for the right password and resets failed attempts', async () => {
+    link.failedAttempts = 3;
+
+    const result = await access(PASSWORD);
+
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.content, CONTENT);
+    assert.equal(link.failedAttempts, 0);
+    assert.equal(link.downloadCount, 1);
+  });
+
+  it('never checks more passwords than the limit, even concurrently', async () => {
+    const compare = mock.method(ShareLink.prototype, 'comparePassword');
+
+    const results = await Promise.all(
+      Array.from({ length: SHARE_LINK_MAX_PASSWORD_ATTEMPTS * 2 }, () => access('wrong password'))
+    );
+
+    assert.equal(results.filter(result => result.status === 401).length, SHARE_LINK_MAX_PASSWORD_ATTEMPTS);
+    assert.equal(results.filter(result => result.status === 410).length, SHARE_LINK_MAX_PASSWORD_ATTEMPTS);
+    assert.equal(compare.mock.callCount(), SHARE_LINK_MAX_PASSWORD_ATTEMPTS);
+    assert.equal(link.failedAttempts, SHARE_LINK_MAX_PASSWORD_ATTEMPTS);
+  });
+
+  it('stays locked for the right password once locked', async () => {
+    link.failedAttempts = SHARE_LINK_MAX_PASSWORD_ATTEMPTS;
+
+    const result = await access(PASSWORD);
+
+    assert.equal(result.status, 410);
+    assert.match(result.body.message, /locked/);
+    assert.equal(link.downloadCount, 0);
+  });
+
+  it('does not count a download for a link locked while it was being checked', async () => {
+    // Other guesses lock the link after this request's password was accepted
+    mock.method(File, 'findById', async () => {
+      link.failedAttempts = SHARE_LINK_MAX_PASSWORD_ATTEMPTS;
+      return file;
+    });
+
+    const result = await access(PASSWORD);
+
+    assert.equal(result.status, 410);
+    assert.match(result.body.message, /locked/);
+    assert.equal(link.downloadCount, 0);
+  });
+
+  it('enforces the download limit', async () => {
+    link.maxDownloads = 1;
+
+    assert.equal((await access(PASSWORD)).status, 200);
+
+    const second = await access(PASSWORD);
+    assert.equal(second.status, 410);
+    assert.match(second.body.message, /download limit/);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Storage consistency tests
+ * Records that cannot be saved give their GridFS content back (once, even
+ * when a transaction is aborted), and reconciliation finds and repairs
+ * orphaned objects and wrong reference counts (records are kept in memory)
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { objects, transactions, resetGridFS, storedObject } = require('./helpers/gridfs');
+const { uploadToGridFS } = require('../config/gridfs');
+const File = require('../models/File');
+const { saveWithStoredContent } = require('../services/fileStorage');
+const { reconcileStorage } = require('../services/storageReconciliation');
+
+const store = content => uploadToGridFS(Buffer.from(content), 'notes.txt', { deduplicate: true });
+
+const failingSave = async () => {
+  throw new Error('write conflict');
+};
+
+let records;
+
+/**
+ * Chainable stand-in for File.find over `records`
+ */
+const findRecords = (filter) => {
+  const matching = () => {
+    if (!filter.$or) return records;
+
+    const id = filter.$or[0].gridfsId;
+    return records.filter(record => [record.gridfsId, ...(record.versions || []).map(version => version.gridfsId)]
+      .some(gridfsId => gridfsId && gridfsId.equals(id)));
+  };
+
+  const query = {
+    select: () => query,
+    lean: () => query,
+    cursor: () => matching(),
+    then: (resolve, reject) => Promise.resolve(matching()).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('storage consistency', () => {
+  beforeEach(() => {
+    resetGridFS();
+    records = [];
+    mock.restoreAll();
+    mock.method(File, 'find', findRecords);
+  });
+
+  describe('saving records for stored content', () => {
+    it('keeps the content when the records are saved', async () => {
+      const stored = await store('content');
+      const session = await saveWithStoredContent([stored.fileId], async transaction => transaction);
+
+      assert.equal(session, null);
+      assert.equal(storedObject(stored.fileId).metadata.refCount, 1);
+    });
+
+    it('deletes new content when the transaction is aborted', async () => {
+      transactions.enabled = true;
+      const stored = await store('content');
+
+      await assert.rejects(saveWithStoredContent([stored.fileId], failingSave), /write conflict/);
+
+      assert.equal(transactions.aborted, 1);
+      assert.equal(objects.size, 0);
+    });
+
+    it('releases a deduplicated upload only once when the transaction is aborted', async () => {
+      transactions.enabled = true;
+      const existing = await store('content');
+      const duplicate = await store('content');
+
+      await assert.rejects(saveWithStoredContent([duplicate.fileId], failingSave));
+
+      assert.equal(String(duplicate.fileId), String(existing.fileId));
+      assert.equal(storedObject(existing.fileId).metadata.refCount, 1);
+    });
+
+    it('releases content without transaction support too', async () => {
+      const stored = await store('content');
+
+      await assert.rejects(saveWithStoredContent([stored.fileId, null], failingSave));
+
+      assert.equal(transactions.aborted, 0);
+      assert.equal(objects.size, 0);
+    });
+  });
+
+  describe('reconciliation', () => {
+    const now = new Date('2030-01-01T00:00:00Z');
+    const longAgo = new Date('2029-12-31T00:00:00Z');
+
+    it('reports orphaned objects past the grace period and wrong reference counts', async () => {
+      const orphan = await store('orphan');
+      const recent = await store('recent upload');
+      const shared = await store('shared');
+      storedObject(orphan.fileId).uploadDate = longAgo;
+      storedObject(shared.fileId).uploadDate = longAgo;
+      storedObject(recent.fileId).uploadDate = now;
+
+      records.push(
+        { _id: new mongoose.Types.ObjectId(), gridfsId: shared.fileId },
+        { _id: new mongoose.Types.ObjectId(), gridfsId: shared.fileId, versions: [] }
+      );
+
+      const report = await reconcileStorage({ now, graceMinutes: 60 });
+
+      assert.deepEqual(report.orphanedObjects.map(entry => entry.id), [String(orphan.fileId)]);
+      assert.deepEqual(report.refCountMismatches, [
+        { id: String(shared.fileId), filename: 'notes.txt', refCount: 1, references: 2 }
+      ]);
+      assert.deepEqual(report.missingContent, []);
+      assert.equal(objects.size, 3);
+    });
+
+    it('deletes orphaned objects and corrects reference counts when repairing', async () => {
+      const orphan = await store('orphan');
+      const shared = await store('shared');
+      const current = await store('current');
+      storedObject(orphan.fileId).uploadDate = longAgo;
+
+      records.push(
+        { _id: new mongoose.Types.ObjectId(), gridfsId: shared.fileId },
+        { _id: new mongoose.Types.ObjectId(), gridfsId: current.fileId, versions: [{ number: 1, gridfsId: shared.fileId }] }
+      );
+
+      const report = await reconcileStorage({ repair: true, now, graceMinutes: 60 });
+
+      assert.equal(report.orphanedObjects[0].repair, 'deleted');
+      assert.equal(report.refCountMismatches[0].repair, 'set to 2');
+      assert.equal(storedObject(orphan.fileId), undefined);
+      assert.equal(storedObject(shared.fileId).metadata.refCount, 2);
+      assert.equal(report.failed, 0);
+    });
+  });
+});
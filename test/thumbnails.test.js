@@ -0,0 +1,93 @@
+/**
+ * Thumbnail storage tests
+ * Thumbnails live in GridFS next to the files they preview: they must
+ * never be picked up by content deduplication, removing them only drops
+ * their own reference, and oversized or missing sources are not decoded.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { resetGridFS, storedObject } = require('./helpers/gridfs');
+const { uploadToGridFS, downloadFromGridFS } = require('../config/gridfs');
+const {
+  THUMBNAIL_MAX_SOURCE_SIZE,
+  supportsThumbnails,
+  generateThumbnails,
+  removeThumbnailObjects
+} = require('../services/thumbnails');
+
+const createImage = () => sharp({
+  create: { width: 640, height: 480, channels: 3, background: { r: 30, g: 120, b: 200 } }
+}).png().toBuffer();
+
+const storeImage = async () => {
+  const stored = await uploadToGridFS(await createImage(), 'photo.png', { contentType: 'image/png', deduplicate: true });
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    owner: new mongoose.Types.ObjectId(),
+    originalName: 'photo.png',
+    mimeType: 'image/png',
+    gridfsId: stored.fileId,
+    thumbnails: [],
+    save: async () => {}
+  };
+};
+
+describe('thumbnail storage', () => {
+  beforeEach(resetGridFS);
+
+  it('stores every size as a thumbnail object', async () => {
+    const file = await generateThumbnails(await storeImage());
+
+    assert.deepEqual(file.thumbnails.map(thumbnail => [thumbnail.width, thumbnail.height]), [[128, 96], [256, 192], [512, 384]]);
+    assert.deepEqual(file.thumbnails.map(thumbnail => thumbnail.size), ['small', 'medium', 'large']);
+    file.thumbnails.forEach((thumbnail) => {
+      const object = storedObject(thumbnail.gridfsId);
+      assert.equal(object.metadata.kind, 'thumbnail');
+      assert.equal(object.metadata.refCount, 1);
+    });
+  });
+
+  it('never deduplicates an upload onto a thumbnail', async () => {
+    const file = await generateThumbnails(await storeImage());
+    const [thumbnail] = file.thumbnails;
+    const content = await downloadFromGridFS(thumbnail.gridfsId);
+
+    const upload = await uploadToGridFS(content, 'copy.webp', { contentType: 'image/webp', deduplicate: true });
+
+    assert.equal(upload.deduplicated, false);
+    assert.notEqual(String(upload.fileId), String(thumbnail.gridfsId));
+    assert.equal(storedObject(thumbnail.gridfsId).metadata.refCount, 1);
+
+    await removeThumbnailObjects(file.thumbnails);
+    assert.deepEqual(await downloadFromGridFS(upload.fileId), content);
+  });
+
+  it('only drops the thumbnail\'s own reference when removing it', async () => {
+    const file = await generateThumbnails(await storeImage());
+    const [thumbnail] = file.thumbnails;
+    storedObject(thumbnail.gridfsId).metadata.refCount = 2;
+
+    await removeThumbnailObjects([thumbnail]);
+    assert.equal(storedObject(thumbnail.gridfsId).metadata.refCount, 1);
+
+    await removeThumbnailObjects([thumbnail]);
+    assert.equal(storedObject(thumbnail.gridfsId), undefined);
+  });
+
+  it('skips sources larger than the limit', () => {
+    assert.equal(supportsThumbnails({ mimeType: 'image/png', size: THUMBNAIL_MAX_SOURCE_SIZE }), true);
+    assert.equal(supportsThumbnails({ mimeType: 'image/png', size: THUMBNAIL_MAX_SOURCE_SIZE + 1 }), false);
+  });
+
+  it('fails rather than waiting when the source content is missing', async () => {
+    const file = await storeImage();
+    file.gridfsId = new mongoose.Types.ObjectId();
+
+    await assert.rejects(generateThumbnails(file), /not found/);
+    assert.deepEqual(file.thumbnails, []);
+  });
+});
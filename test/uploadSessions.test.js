@@ -0,0 +1,152 @@
+/**
+ * Resumable upload tests
+ * Tags and custom fields given when a session is created are checked up
+ * front and end up on the finalized file (sessions and chunks are kept in
+ * memory)
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { resetGridFS } = require('./helpers/gridfs');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const UploadChunk = require('../models/UploadChunk');
+const AuditEvent = require('../models/AuditEvent');
+const { createUpload, appendChunk } = require('../controllers/uploadSessionController');
+
+const CONTENT = Buffer.from('quarterly figures\n');
+
+let sessions;
+let chunks;
+let savedFiles;
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'owner@example.com', role: 'customer' };
+
+const request = ({ body = {}, headers = {}, params = {} } = {}) => ({
+  body,
+  headers,
+  params,
+  user,
+  baseUrl: '/api/uploads',
+  ip: '203.0.113.7',
+  get: () => undefined
+});
+
+/**
+ * Response stand-in recording the status and JSON body
+ */
+const response = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    },
+    set: () => res,
+    location: () => res,
+    end: () => res
+  };
+  return res;
+};
+
+const query = result => ({
+  sort: () => query(result),
+  select: () => query(result),
+  lean: () => query(result),
+  cursor: () => result(),
+  then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+});
+
+const startUpload = async (fields) => {
+  const res = response();
+  await createUpload(request({
+    body: { filename: 'figures.txt', mimeType: 'text/plain', size: CONTENT.length, ...fields }
+  }), res);
+  return res;
+};
+
+describe('resumable uploads', () => {
+  beforeEach(() => {
+    resetGridFS();
+    sessions = new Map();
+    chunks = [];
+    savedFiles = [];
+    mock.restoreAll();
+
+    mock.method(File, 'aggregate', async () => []);
+    mock.method(UploadSession, 'aggregate', async () => []);
+    mock.method(UploadSession.prototype, 'save', async function save() {
+      sessions.set(String(this._id), this);
+      return this;
+    });
+    mock.method(UploadSession, 'findOne', async filter => sessions.get(String(filter._id)) || null);
+    mock.method(UploadSession, 'findOneAndUpdate', async filter => sessions.get(String(filter._id)) || null);
+    mock.method(UploadSession, 'updateOne', async () => ({ matchedCount: 1, modifiedCount: 1 }));
+    mock.method(UploadChunk, 'create', async (chunk) => {
+      chunks.push(chunk);
+      return chunk;
+    });
+    mock.method(UploadChunk, 'find', () => query(() => [...chunks].sort((a, b) => a.offset - b.offset)));
+    mock.method(UploadChunk, 'deleteMany', async () => ({ deletedCount: chunks.length }));
+    mock.method(File.prototype, 'save', async function save() {
+      if (!savedFiles.includes(this)) savedFiles.push(this);
+      return this;
+    });
+    mock.method(AuditEvent, 'findOne', () => query(() => null));
+    mock.method(AuditEvent, 'create', async entry => entry);
+  });
+
+  it('stores normalised tags and custom fields on the session', async () => {
+    const res = await startUpload({ tags: 'Finance, Q3,finance', metadata: { customerId: 'C-1042', amount: 12.5 } });
+
+    assert.equal(res.statusCode, 201);
+    const [session] = sessions.values();
+    assert.deepEqual([...session.tags], ['finance', 'q3']);
+    assert.deepEqual(session.metadata.map(({ key, type, value }) => ({ key, type, value })), [
+      { key: 'customerId', type: 'string', value: 'C-1042' },
+      { key: 'amount', type: 'number', value: 12.5 }
+    ]);
+  });
+
+  it('refuses invalid labels before creating a session', async () => {
+    const res = await startUpload({ tags: [''], metadata: '{not json' });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.errors.map(error => error.field), ['tags', 'metadata']);
+    assert.equal(sessions.size, 0);
+  });
+
+  it('refuses file names the other upload paths would refuse', async () => {
+    const res = await startUpload({ filename: 'report<script>.txt' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'File name cannot contain < or >');
+    assert.equal(sessions.size, 0);
+  });
+
+  it('copies the labels onto the finalized file', async () => {
+    const created = await startUpload({ tags: ['invoice'], metadata: [{ key: 'issuedOn', type: 'date', value: '2024-03-01' }] });
+
+    const res = response();
+    await appendChunk(request({
+      params: { id: String(created.body.upload.id) },
+      headers: { 'content-type': 'application/offset+octet-stream', 'upload-offset': '0' },
+      body: CONTENT
+    }), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(savedFiles.length, 1);
+    const [file] = savedFiles;
+    assert.deepEqual([...file.tags], ['invoice']);
+    assert.equal(file.metadata[0].key, 'issuedOn');
+    assert.equal(file.metadata[0].type, 'date');
+    assert.equal(new Date(file.metadata[0].value).toISOString(), '2024-03-01T00:00:00.000Z');
+    assert.deepEqual(res.body.file.tags, ['invoice']);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * ZIP import tests
+ * Which entries of an uploaded archive are imported, skipped or rejected,
+ * and when the whole archive is refused
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const { ZIP_IMPORT_MAX_ENTRIES } = require('../config/archive');
+const { openZipImport } = require('../services/zipImport');
+
+let directory;
+
+/**
+ * Write a ZIP with the given { name, content } entries and return its path
+ */
+const createZip = async (entries) => {
+  const filePath = path.join(directory, `${entries.length}-${Date.now()}-${Math.random()}.zip`);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const output = fs.createWriteStream(filePath);
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+  entries.forEach(({ name, content }) => archive.append(content, { name }));
+  await archive.finalize();
+  await written;
+  return filePath;
+};
+
+const importZip = async (entries) => {
+  const result = await openZipImport(await createZip(entries));
+  result.zipfile.close();
+  return result;
+};
+
+describe('ZIP import', () => {
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-import-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('imports allowed files by their base name and type', async () => {
+    const { entries, rejected } = await importZip([
+      { name: 'statements/march.pdf', content: '%PDF-1.4' },
+      { name: 'notes.txt', content: 'hello' }
+    ]);
+
+    assert.deepEqual(entries.map(({ path: entryPath, name, mimeType }) => ({ entryPath, name, mimeType })), [
+      { entryPath: 'statements/march.pdf', name: 'march.pdf', mimeType: 'application/pdf' },
+      { entryPath: 'notes.txt', name: 'notes.txt', mimeType: 'text/plain' }
+    ]);
+    assert.deepEqual(rejected, []);
+  });
+
+  it('skips files added by archivers', async () => {
+    const { entries, rejected } = await importZip([
+      { name: '__MACOSX/._notes.txt', content: 'resource fork' },
+      { name: 'docs/.DS_Store', content: 'finder' },
+      { name: 'docs/notes.txt', content: 'hello' }
+    ]);
+
+    assert.deepEqual(entries.map(entry => entry.path), ['docs/notes.txt']);
+    assert.deepEqual(rejected, []);
+  });
+
+  it('rejects nested archives, unsupported types and unsafe paths', async () => {
+    const filePath = await createZip([
+      { name: 'inner.zip', content: 'PK' },
+      { name: 'tool.exe', content: 'MZ' },
+      { name: 'xx/escape.txt', content: 'out' },
+      { name: 'ok.txt', content: 'fine' }
+    ]);
+
+    // archiver normalizes names, so write the path traversal in afterwards
+    const zip = fs.readFileSync(filePath);
+    for (let at = zip.indexOf('xx/escape.txt'); at !== -1; at = zip.indexOf('xx/escape.txt', at + 1)) {
+      zip.write('..', at);
+    }
+    fs.writeFileSync(filePath, zip);
+
+    const { zipfile, entries, rejected } = await openZipImport(filePath);
+    zipfile.close();
+
+    assert.deepEqual(entries.map(entry => entry.path), ['ok.txt']);
+    assert.deepEqual(rejected.map(entry => entry.filename), ['inner.zip', 'tool.exe', '../escape.txt']);
+    assert.equal(rejected[0].error, 'Nested archives are not allowed');
+    assert.match(rejected[1].error, /Invalid file type/);
+    assert.equal(rejected[2].error, 'Unsafe path in archive');
+  });
+
+  it('rejects entries whose base name is not a valid file name', async () => {
+    const { entries, rejected } = await importZip([
+      { name: 'docs/<b>bold</b>.txt', content: 'markup' },
+      { name: `docs/${'a'.repeat(500)}.txt`, content: 'long' },
+      { name: '<docs>/plain.txt', content: 'folders are dropped' }
+    ]);
+
+    assert.deepEqual(entries.map(entry => entry.name), ['plain.txt']);
+    assert.deepEqual(rejected.map(entry => entry.error), [
+      'File name cannot contain < or >',
+      'File name cannot exceed 500 characters'
+    ]);
+  });
+
+  it('rejects entries that expand far beyond their compressed size', async () => {
+    const { entries, rejected } = await importZip([
+      { name: 'zeros.txt', content: Buffer.alloc(4 * 1024 * 1024) }
+    ]);
+
+    assert.deepEqual(entries, []);
+    assert.equal(rejected[0].error, 'Compression ratio too high (possible zip bomb)');
+  });
+
+  it('refuses archives with too many entries', async () => {
+    const names = Array.from({ length: ZIP_IMPORT_MAX_ENTRIES + 1 }, (_, i) => ({ name: `${i}.txt`, content: 'x' }));
+
+    await assert.rejects(importZip(names), { status: 400, message: /at most/ });
+  });
+
+  it('refuses files that are not ZIP archives', async () => {
+    const filePath = path.join(directory, 'not-a.zip');
+    fs.writeFileSync(filePath, 'plain text');
+
+    await assert.rejects(openZipImport(filePath), { status: 400, message: /Invalid ZIP archive/ });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Audit Log Query Builder
+ * Turns audit query-string parameters into a Mongo filter and a page
+ */
+
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_OUTCOMES } = require('../config/audit');
+const { parseList, parseDate } = require('./queryParams');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Parse a list parameter whose values must come from `allowed`
+ */
+const parseEnumList = (value, allowed, name) => {
+  const values = parseList(value);
+  const invalid = values.filter(v => !allowed.includes(v));
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${name}: ${invalid.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+  return values;
+};
+
+/**
+ * Parse an ObjectId parameter
+ */
+const parseId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(String(value))) {
+    throw new Error(`${name} must be a valid id`);
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+/**
+ * Build the audit query from request query parameters.
+ *
+ * Supported parameters: action, outcome (comma lists), actor, file,
+ * shareLink (ids), ip, from, to (timestamp range), limit and before (the
+ * `seq` to continue below; newest entries come first).
+ *
+ * Returns { filter, pageFilter, limit }. Throws on invalid parameters.
+ */
+const buildAuditQuery = (params = {}) => {
+  const filter = {};
+
+  if (params.action) {
+    filter.action = { $in: parseEnumList(params.action, AUDIT_ACTIONS, 'action') };
+  }
+
+  if (params.outcome) {
+    filter.outcome = { $in: parseEnumList(params.outcome, AUDIT_OUTCOMES, 'outcome') };
+  }
+
+  ['actor', 'file', 'shareLink'].forEach((name) => {
+    if (params[name]) filter[name] = parseId(params[name], name);
+  });
+
+  if (params.ip) {
+    filter.ip = String(params.ip).trim();
+  }
+
+  if (params.from || params.to) {
+    filter.timestamp = {};
+    if (params.from) filter.timestamp.$gte = parseDate(params.from, 'from');
+    if (params.to) filter.timestamp.$lte = parseDate(params.to, 'to');
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let pageFilter = filter;
+  if (params.before !== undefined) {
+    const before = Number(params.before);
+    if (!Number.isInteger(before) || before < 1) {
+      throw new Error('before must be a positive integer');
+    }
+    pageFilter = { ...filter, seq: { $lt: before } };
+  }
+
+  return { filter, pageFilter, limit };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildAuditQuery
+};
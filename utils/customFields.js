@@ -0,0 +1,160 @@
+/**
+ * Tags and Custom Fields
+ * Normalises the free-form labels and typed key/value fields owners attach
+ * to files, whether they arrive as JSON or as multipart form fields
+ */
+
+const {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELDS,
+  MAX_CUSTOM_FIELD_VALUE_LENGTH,
+  CUSTOM_FIELD_KEY_PATTERN
+} = require('../config/fileTypes');
+
+/**
+ * Normalise tags: a list, a JSON list or a comma-separated string. Tags
+ * are trimmed, lower-cased and de-duplicated. Throws on invalid input.
+ */
+const normalizeTags = (input) => {
+  let tags = input;
+
+  if (typeof tags === 'string') {
+    try {
+      tags = tags.trim().startsWith('[')
+        ? JSON.parse(tags)
+        : tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    } catch (error) {
+      throw new Error(`Tags must be a list of at most ${MAX_TAGS} strings`);
+    }
+  }
+
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+    throw new Error(`Tags must be a list of at most ${MAX_TAGS} strings`);
+  }
+
+  tags.forEach((tag) => {
+    if (typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH) {
+      throw new Error(`Each tag must be a non-empty string of at most ${MAX_TAG_LENGTH} characters`);
+    }
+  });
+
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+};
+
+/**
+ * Convert a value to the given custom field type, or return undefined if
+ * it cannot be
+ */
+const coerceCustomFieldValue = (type, value) => {
+  switch (type) {
+    case 'string':
+      if (!['string', 'number', 'boolean'].includes(typeof value)) return undefined;
+      return String(value).trim() || undefined;
+
+    case 'number': {
+      if (typeof value === 'string' && !value.trim()) return undefined;
+      const number = typeof value === 'number' ? value : Number(value);
+      return (typeof value === 'number' || typeof value === 'string') && Number.isFinite(number)
+        ? number
+        : undefined;
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+
+    case 'date': {
+      if (typeof value !== 'string' && !(value instanceof Date)) return undefined;
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Normalise custom fields to [{ key, type, value }].
+ *
+ * Accepts a JSON string (multipart uploads) of either shape:
+ *   { "customerId": "C-1042", "amount": 12.5, "verified": true }
+ *   [{ "key": "issuedOn", "type": "date", "value": "2024-03-01" }]
+ * The object shorthand infers string, number or boolean from the JSON
+ * value; dates need the explicit form. Throws on invalid input.
+ */
+const normalizeCustomFields = (input) => {
+  let fields = input;
+
+  if (typeof fields === 'string') {
+    try {
+      fields = JSON.parse(fields);
+    } catch (error) {
+      throw new Error('Metadata must be a JSON object or list');
+    }
+  }
+
+  if (fields && !Array.isArray(fields) && typeof fields === 'object') {
+    fields = Object.entries(fields).map(([key, value]) => ({ key, value }));
+  }
+
+  if (!Array.isArray(fields)) {
+    throw new Error('Metadata must be a JSON object or list');
+  }
+
+  if (fields.length > MAX_CUSTOM_FIELDS) {
+    throw new Error(`Metadata cannot have more than ${MAX_CUSTOM_FIELDS} fields`);
+  }
+
+  const seen = new Set();
+
+  return fields.map((field) => {
+    const { key, value } = field || {};
+
+    if (typeof key !== 'string' || !CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+      throw new Error('Metadata keys must start with a letter and use only letters, digits, - and _ (max 40 characters)');
+    }
+    if (seen.has(key)) {
+      throw new Error(`Duplicate metadata key: ${key}`);
+    }
+    seen.add(key);
+
+    const type = field.type || (typeof value === 'number' || typeof value === 'boolean' ? typeof value : 'string');
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      throw new Error(`Metadata type for ${key} must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+
+    const coerced = coerceCustomFieldValue(type, value);
+    if (coerced === undefined) {
+      throw new Error(`Metadata value for ${key} must be a valid ${type}`);
+    }
+    if (type === 'string' && coerced.length > MAX_CUSTOM_FIELD_VALUE_LENGTH) {
+      throw new Error(`Metadata value for ${key} cannot exceed ${MAX_CUSTOM_FIELD_VALUE_LENGTH} characters`);
+    }
+
+    return { key, type, value: coerced };
+  });
+};
+
+/**
+ * Every typed value a query-string value could stand for, so `12` matches
+ * the number 12 as well as the string "12"
+ */
+const customFieldQueryValues = (raw) => {
+  const text = String(raw);
+
+  return CUSTOM_FIELD_TYPES
+    .filter(type => type !== 'date' || /^\d{4}-\d{2}-\d{2}/.test(text))
+    .map(type => coerceCustomFieldValue(type, text))
+    .filter(value => value !== undefined);
+};
+
+module.exports = {
+  normalizeTags,
+  normalizeCustomFields,
+  coerceCustomFieldValue,
+  customFieldQueryValues
+};
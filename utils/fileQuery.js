@@ -0,0 +1,193 @@
+/**
+ * File Listing Query Builder
+ * Turns list query-string parameters into a Mongo filter, sort and
+ * keyset (cursor) pagination
+ */
+
+const mongoose = require('mongoose');
+const { STATUSES } = require('../config/verification');
+const { CUSTOM_FIELD_KEY_PATTERN } = require('../config/fileTypes');
+const { customFieldQueryValues } = require('./customFields');
+const { parseList, parseDate } = require('./queryParams');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sortable fields and how their values are restored from a cursor
+const SORT_KEYS = {
+  uploadDate: value => new Date(value),
+  size: value => Number(value),
+  originalName: value => String(value)
+};
+
+/**
+ * Parse a non-negative integer parameter
+ */
+const parseSize = (value, name) => {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return size;
+};
+
+/**
+ * Parse `meta[key]=value` parameters into conditions on custom fields.
+ * Repeating a key matches any of its values; an empty value matches every
+ * file that has the key.
+ */
+const parseCustomFieldFilter = (meta) => {
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+    throw new Error('meta must be given as meta[key]=value');
+  }
+
+  return Object.entries(meta).map(([key, raw]) => {
+    if (!CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid metadata key: ${key}`);
+    }
+
+    const values = [].concat(raw).filter(value => typeof value === 'string' && value !== '');
+    if (values.length === 0) {
+      return { $elemMatch: { key } };
+    }
+
+    return { $elemMatch: { key, value: { $in: values.flatMap(customFieldQueryValues) } } };
+  });
+};
+
+/**
+ * Encode the position after `doc` as an opaque cursor token
+ */
+const encodeCursor = (doc, sort, order) => {
+  const value = doc[sort] instanceof Date ? doc[sort].toISOString() : doc[sort];
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id: String(doc._id) })).toString('base64url');
+};
+
+/**
+ * Decode a cursor token; it must belong to the requested sort
+ */
+const decodeCursor = (token, sort, order) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!cursor || !mongoose.Types.ObjectId.isValid(cursor.id) || cursor.v === undefined) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (cursor.s !== sort || cursor.o !== order) {
+    throw new Error('Cursor does not match the requested sort order');
+  }
+
+  return { value: SORT_KEYS[sort](cursor.v), id: new mongoose.Types.ObjectId(cursor.id) };
+};
+
+/**
+ * Build the listing query from request query parameters.
+ *
+ * Supported parameters: limit, cursor, sort (uploadDate|size|originalName),
+ * order (asc|desc), q (text search), status, category, mimeType (comma
+ * lists), tag (comma list; all must match), meta[key]=value (custom
+ * fields), minSize, maxSize (bytes), from, to (upload date range).
+ *
+ * Returns { filter, pageFilter, sort, limit, sortKey, order }, where
+ * `filter` selects all matches (for totals) and `pageFilter` additionally
+ * starts after the cursor. Throws on invalid parameters.
+ */
+const buildFileListQuery = (params = {}) => {
+  const filter = {};
+
+  if (params.status) {
+    const statuses = parseList(params.status);
+    const invalid = statuses.filter(s => !STATUSES.includes(s));
+
+    if (invalid.length > 0) {
+      throw new Error(`Invalid status: ${invalid.join(', ')}. Allowed: ${STATUSES.join(', ')}`);
+    }
+    filter.status = { $in: statuses };
+  }
+
+  if (params.category) {
+    filter.category = { $in: parseList(params.category) };
+  }
+
+  if (params.mimeType) {
+    filter.mimeType = { $in: parseList(params.mimeType) };
+  }
+
+  if (params.tag) {
+    filter.tags = { $all: parseList(params.tag).map(tag => tag.toLowerCase()) };
+  }
+
+  if (params.meta !== undefined) {
+    filter.metadata = { $all: parseCustomFieldFilter(params.meta) };
+  }
+
+  if (params.minSize !== undefined || params.maxSize !== undefined) {
+    filter.size = {};
+    if (params.minSize !== undefined) filter.size.$gte = parseSize(params.minSize, 'minSize');
+    if (params.maxSize !== undefined) filter.size.$lte = parseSize(params.maxSize, 'maxSize');
+  }
+
+  if (params.from || params.to) {
+    filter.uploadDate = {};
+    if (params.from) filter.uploadDate.$gte = parseDate(params.from, 'from');
+    if (params.to) filter.uploadDate.$lte = parseDate(params.to, 'to');
+  }
+
+  if (params.q && String(params.q).trim()) {
+    filter.$text = { $search: String(params.q).trim() };
+  }
+
+  const sortKey = params.sort || 'uploadDate';
+  if (!Object.prototype.hasOwnProperty.call(SORT_KEYS, sortKey)) {
+    throw new Error(`Invalid sort: ${sortKey}. Allowed: ${Object.keys(SORT_KEYS).join(', ')}`);
+  }
+
+  const order = params.order || (sortKey === 'originalName' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error('Invalid order. Allowed: asc, desc');
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined) {
+    limit = parseInt(params.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  // _id breaks ties so pages never overlap or skip documents
+  const direction = order === 'asc' ? 1 : -1;
+  const sort = { [sortKey]: direction, _id: direction };
+
+  let pageFilter = filter;
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor, sortKey, order);
+    const op = order === 'asc' ? '$gt' : '$lt';
+
+    pageFilter = {
+      ...filter,
+      $and: [{
+        $or: [
+          { [sortKey]: { [op]: cursor.value } },
+          { [sortKey]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }]
+    };
+  }
+
+  return { filter, pageFilter, sort, limit, sortKey, order };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_KEYS,
+  buildFileListQuery,
+  encodeCursor
+};
@@ -0,0 +1,158 @@
+/**
+ * Content-Based File Type Detection
+ * Identifies uploads by their leading bytes (magic numbers) instead of
+ * trusting the client-sent Content-Type
+ */
+
+const { Transform } = require('stream');
+const { invalidTypeError } = require('../config/fileTypes');
+
+// Bytes inspected per file (enough to find OOXML part names)
+const SNIFF_LENGTH = 8192;
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const DOC = 'application/msword';
+const XLS = 'application/vnd.ms-excel';
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+
+const ascii = (text) => Array.from(Buffer.from(text, 'ascii'));
+
+/**
+ * Heuristic text check: valid UTF-8 without binary control characters
+ */
+const looksLikeText = (buffer) => {
+  for (const byte of buffer) {
+    // Allow tab, LF, VT, FF, CR and ESC; any other C0 control means binary
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x1b].includes(byte)) {
+      return false;
+    }
+  }
+
+  try {
+    // stream: true tolerates a multi-byte character cut off by the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Detect the type of a file from its leading bytes.
+ * Returns { mimeType, matches } where `matches` lists the declared MIME types
+ * the content is consistent with, or null if the content is not recognised.
+ */
+const detectFileType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return { mimeType: 'image/jpeg', matches: ['image/jpeg', 'image/jpg'] };
+  }
+
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mimeType: 'image/png', matches: ['image/png'] };
+  }
+
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) {
+    return { mimeType: 'image/gif', matches: ['image/gif'] };
+  }
+
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) {
+    return { mimeType: 'image/webp', matches: ['image/webp'] };
+  }
+
+  if (startsWith(buffer, ascii('%PDF-'))) {
+    return { mimeType: 'application/pdf', matches: ['application/pdf'] };
+  }
+
+  // OLE2 compound document (legacy .doc / .xls)
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return { mimeType: 'application/x-ole-storage', matches: [DOC, XLS] };
+  }
+
+  // ZIP container: OOXML documents are identified by their part names
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    const names = buffer.toString('latin1');
+    if (names.includes('word/')) return { mimeType: DOCX, matches: [DOCX] };
+    if (names.includes('xl/')) return { mimeType: XLSX, matches: [XLSX] };
+    if (names.includes('[Content_Types].xml')) return { mimeType: 'application/zip', matches: [DOCX, XLSX] };
+    return { mimeType: 'application/zip', matches: [] };
+  }
+
+  if (looksLikeText(buffer)) {
+    return { mimeType: 'text/plain', matches: ['text/plain', 'text/csv'] };
+  }
+
+  return null;
+};
+
+/**
+ * Error for content that does not match the declared type
+ */
+const mismatchError = (declaredType, detected) => {
+  const error = invalidTypeError(declaredType);
+  error.message = `Invalid file type: content does not match declared type ${declaredType}` +
+    ` (detected ${detected ? detected.mimeType : 'unknown content'})`;
+  return error;
+};
+
+/**
+ * Pass-through stream that inspects the first bytes of a file and fails if
+ * they do not match `declaredType`. The result is exposed as `detectedMimeType`.
+ */
+const createTypeSniffer = (declaredType) => {
+  let held = [];
+  let heldLength = 0;
+  let checked = false;
+
+  // Inspect the held bytes, then release them downstream
+  const checkAndRelease = (stream) => {
+    const head = Buffer.concat(held, heldLength);
+    const detected = detectFileType(head.subarray(0, SNIFF_LENGTH));
+    checked = true;
+    held = null;
+
+    if (!detected || !detected.matches.includes(declaredType)) {
+      throw mismatchError(declaredType, detected);
+    }
+
+    stream.detectedMimeType = detected.mimeType;
+    if (head.length > 0) stream.push(head);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (checked) return callback(null, chunk);
+
+      held.push(chunk);
+      heldLength += chunk.length;
+
+      if (heldLength < SNIFF_LENGTH) return callback();
+
+      try {
+        checkAndRelease(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      try {
+        if (!checked) checkAndRelease(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+};
+
+module.exports = {
+  SNIFF_LENGTH,
+  detectFileType,
+  createTypeSniffer
+};
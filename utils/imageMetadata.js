@@ -0,0 +1,145 @@
+/**
+ * Photo Metadata Stripping
+ * Removes EXIF, XMP and IPTC blocks from uploaded photos and applies the
+ * EXIF orientation to the pixels so images still display upright
+ */
+
+const { Transform } = require('stream');
+const sharp = require('sharp');
+const { STRIP_METADATA_MAX_SIZE, invalidTypeError, imageTooLargeError } = require('../config/fileTypes');
+
+// EXIF tags worth reporting, grouped by what they reveal
+const SENSITIVE_EXIF_TAGS = {
+  0x8825: 'gps',        // GPSInfo IFD
+  0x010f: 'camera',     // Make
+  0x0110: 'camera',     // Model
+  0xa431: 'serial',     // BodySerialNumber
+  0xa435: 'serial',     // LensSerialNumber
+  0x0132: 'timestamp',  // DateTime
+  0x9003: 'timestamp',  // DateTimeOriginal
+  0x9004: 'timestamp'   // DateTimeDigitized
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+
+/**
+ * List the sensitive groups present in a raw EXIF block (IFD0 and Exif IFD).
+ * Unparseable EXIF yields an empty list; the block is removed regardless.
+ */
+const describeExif = (exif) => {
+  const found = new Set();
+
+  try {
+    // sharp returns the APP1 payload, which starts with "Exif\0\0"
+    const tiff = exif.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? exif.subarray(6) : exif;
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const readIfd = (offset, depth) => {
+      const count = u16(offset);
+
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = u16(entry);
+
+        if (SENSITIVE_EXIF_TAGS[tag]) found.add(SENSITIVE_EXIF_TAGS[tag]);
+        if (tag === EXIF_IFD_POINTER && depth === 0) readIfd(u32(entry + 8), 1);
+      }
+    };
+
+    readIfd(u32(4), 0);
+  } catch (error) {
+    // Truncated or malformed EXIF: report what was read so far
+  }
+
+  return Array.from(found);
+};
+
+/**
+ * Re-encode an image without metadata, keeping its format and ICC profile
+ */
+const encodeWithoutMetadata = (buffer, format) => {
+  const image = sharp(buffer, { failOn: 'none' }).rotate().keepIccProfile();
+
+  if (format === 'jpeg') return image.jpeg({ quality: 95 }).toBuffer();
+  if (format === 'png') return image.png().toBuffer();
+  return image.webp({ quality: 95 }).toBuffer();
+};
+
+/**
+ * Strip metadata from a complete image buffer.
+ * Returns { buffer, report }; `report` is null when there was nothing to
+ * remove, in which case the original bytes are returned unchanged.
+ */
+const stripImageMetadata = async (buffer) => {
+  const metadata = await sharp(buffer, { failOn: 'none' }).metadata();
+
+  if (!['jpeg', 'png', 'webp'].includes(metadata.format)) {
+    return { buffer, report: null };
+  }
+
+  const removed = [];
+  if (metadata.exif) removed.push('exif', ...describeExif(metadata.exif));
+  if (metadata.xmp) removed.push('xmp');
+  if (metadata.iptc) removed.push('iptc');
+
+  if (removed.length === 0) {
+    return { buffer, report: null };
+  }
+
+  return {
+    buffer: await encodeWithoutMetadata(buffer, metadata.format),
+    report: {
+      removed,
+      orientation: metadata.orientation || 1
+    }
+  };
+};
+
+/**
+ * Upload pipeline stage that strips photo metadata.
+ * The whole image is held in memory (it has to be decoded to be rotated),
+ * so the stream fails with IMAGE_TOO_LARGE once it passes
+ * STRIP_METADATA_MAX_SIZE. What was removed is exposed as
+ * `metadataReport` once the stream ends.
+ */
+const createMetadataStripper = (mimeType) => {
+  const chunks = [];
+  let length = 0;
+
+  const stripper = new Transform({
+    transform(chunk, encoding, callback) {
+      length += chunk.length;
+      if (length > STRIP_METADATA_MAX_SIZE) {
+        chunks.length = 0;
+        return callback(imageTooLargeError());
+      }
+
+      chunks.push(chunk);
+      callback();
+    },
+
+    flush(callback) {
+      stripImageMetadata(Buffer.concat(chunks, length))
+        .then(({ buffer, report }) => {
+          stripper.metadataReport = report;
+          callback(null, buffer);
+        })
+        .catch((error) => {
+          const invalid = invalidTypeError(mimeType);
+          invalid.message = `Invalid file type: image could not be processed (${error.message})`;
+          callback(invalid);
+        });
+    }
+  });
+
+  stripper.metadataReport = null;
+  return stripper;
+};
+
+module.exports = {
+  describeExif,
+  stripImageMetadata,
+  createMetadataStripper
+};
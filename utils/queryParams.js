@@ -0,0 +1,27 @@
+/**
+ * Query Parameter Parsing
+ * Shared by the file listing and audit log query builders
+ */
+
+/**
+ * Split a comma-separated parameter into a list
+ */
+const parseList = (value) => {
+  return String(value).split(',').map(s => s.trim()).filter(Boolean);
+};
+
+/**
+ * Parse a date parameter (ISO 8601 or anything Date understands)
+ */
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+module.exports = {
+  parseList,
+  parseDate
+};